@@ -65,6 +65,7 @@ public class ContactController : Controller
 
     [HttpPost]
     [AllowAnonymous]
+    [ValidateAntiForgeryToken]
     public async Task<IActionResult> SubmitFeedback([FromBody] FeedbackSubmissionModel model)
     {
         try
@@ -84,20 +85,32 @@ public class ContactController : Controller
                 }
             }
             
+            // Refusals are client errors, so site.js shows them to the user rather than sending the
+            // feedback again
             if (model == null)
             {
                 _logger.LogWarning("SubmitFeedback called with null model");
-                return Json(new { success = false, message = "Invalid request" });
+                return BadRequest(new { success = false, message = "Invalid request" });
             }
+
+            // Null when the JSON has "reasons": null or "filters": null
+            model.Reasons ??= new List<string>();
+            model.Filters ??= new List<string>();
             
-            if (string.IsNullOrWhiteSpace(model.FeedbackFormInput))
+            if (!model.HasContent)
             {
                 _logger.LogWarning("SubmitFeedback called with empty feedback");
-                return Json(new { success = false, message = "Feedback cannot be empty" });
+                return BadRequest(new { success = false, message = "Feedback cannot be empty" });
+            }
+
+            if (!ModelState.IsValid || model.Reasons.Any(r => !FeedbackSubmissionModel.ReasonCodes.Contains(r)))
+            {
+                _logger.LogWarning("SubmitFeedback called with an invalid model");
+                return BadRequest(new { success = false, message = "Invalid request" });
             }
 
-            // Get the referring page URL
-            var pageUrl = Request.Headers["Referer"].FirstOrDefault() ?? "Unknown";
+            // The page the feedback was written on, or failing that the referring page
+            var pageUrl = model.PageUrl ?? Request.Headers["Referer"].FirstOrDefault() ?? "Unknown";
             var service = "FIPS";
             
             // Get the signed-in user's email from Azure AD claims
@@ -119,11 +132,11 @@ public class ContactController : Controller
                 _logger.LogInformation("User email extracted from Azure AD claims: {UserEmail}", userEmail);
             }
 
-            _logger.LogInformation("Feedback received: {Feedback}, Page: {PageUrl}, Service: {Service}, UserEmail: {UserEmail}", 
-                model.FeedbackFormInput, pageUrl, service, userEmail);
+            _logger.LogInformation("Feedback received: {Feedback}, Useful: {Useful}, Reasons: {Reasons}, Page: {PageUrl}, Route: {Route}, FipsId: {FipsId}, Service: {Service}, UserEmail: {UserEmail}", 
+                model.FeedbackFormInput, model.Useful, string.Join(", ", model.Reasons), pageUrl, model.Route, model.FipsId, service, userEmail);
 
             // Submit to Airtable
-            var success = await _airtableService.SubmitFeedbackAsync(model.FeedbackFormInput, pageUrl, service, userEmail);
+            var success = await _airtableService.SubmitFeedbackAsync(model, pageUrl, service, userEmail);
 
             if (success)
             {
@@ -133,14 +146,15 @@ public class ContactController : Controller
             else
             {
                 _logger.LogError("Failed to submit feedback to Airtable");
-                return Json(new { success = false, message = "An error occurred while processing your feedback" });
+                // A server error, so site.js keeps the feedback and tries again later
+                return StatusCode(500, new { success = false, message = "An error occurred while processing your feedback" });
             }
         }
         catch (Exception ex)
         {
              Console.WriteLine(ex.Message);
             _logger.LogError(ex, "Error processing feedback submission");
-            return Json(new { success = false, message = "An error occurred while processing your feedback" });
+            return StatusCode(500, new { success = false, message = "An error occurred while processing your feedback" });
         }
     }
 }
@@ -1,4 +1,5 @@
 using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.RateLimiting;
 using FipsFrontend.Models;
 using FipsFrontend.Helpers;
 using System.Collections.Generic;
@@ -7,6 +8,15 @@ namespace FipsFrontend.Controllers
 {
     public class CookiesController : Controller
     {
+        private readonly IConfiguration _configuration;
+        private readonly ILogger<CookiesController> _logger;
+
+        public CookiesController(IConfiguration configuration, ILogger<CookiesController> logger)
+        {
+            _configuration = configuration;
+            _logger = logger;
+        }
+
         [HttpGet]
         public IActionResult Preferences()
         {
@@ -20,18 +30,15 @@ namespace FipsFrontend.Controllers
         }
         
         [HttpPost]
-        public IActionResult UpdatePreferences(CookiePreferencesViewModel model)
+        public IActionResult UpdatePreferences(string? analytics)
         {
-            if (ModelState.IsValid)
-            {
-                SetCookiePreferences(model.AnalyticsAccepted);
-                
-                TempData["SuccessMessage"] = "Your cookie preferences have been saved.";
-                
-                return RedirectToAction("Preferences");
-            }
+            // Radio values use the same "on"/"off" format as the cookie manager's preferences form,
+            // so this action only runs when JavaScript is unavailable
+            SetCookiePreferences(analytics == "on", "preferences-form");
             
-            return View("Preferences", model);
+            TempData["SuccessMessage"] = "Your cookie preferences have been saved.";
+            
+            return RedirectToAction("Preferences");
         }
         
         [HttpPost]
@@ -41,13 +48,9 @@ namespace FipsFrontend.Controllers
             if (cookies == "accept" || cookies == "reject")
             {
                 bool analyticsAccepted = cookies == "accept";
-                SetCookiePreferences(analyticsAccepted);
+                SetCookiePreferences(analyticsAccepted, "banner");
                 
-                // Set a flag to trigger analytics loading on the redirected page
-                if (analyticsAccepted)
-                {
-                    TempData["LoadAnalytics"] = "true";
-                }
+                // Consented analytics scripts are loaded by the cookie manager on the redirected page
                 
                 // Return a redirect to the same page to show the confirmation message
                 return Redirect(Request.Headers["Referer"].ToString() ?? "/");
@@ -56,6 +59,23 @@ namespace FipsFrontend.Controllers
             return Redirect("/");
         }
         
+        [HttpPost]
+        [EnableRateLimiting("client-reports")]
+        [RequestSizeLimit(4 * 1024)]
+        public IActionResult ConsentReceipt([FromBody] ConsentReceiptModel receipt)
+        {
+            // Receipts are sent by the cookie manager with fetch, or navigator.sendBeacon when retried.
+            // A receipt is a few short fields, so the size limit leaves plenty of room.
+            if (receipt == null || !ModelState.IsValid)
+            {
+                return BadRequest();
+            }
+            
+            LogConsentReceipt(receipt);
+            
+            return NoContent();
+        }
+        
         private CookiePreferences GetCookiePreferences()
         {
             var preferencesCookie = Request.Cookies["cookie-preferences"];
@@ -63,12 +83,14 @@ namespace FipsFrontend.Controllers
             {
                 try
                 {
-                    var preferences = System.Text.Json.JsonSerializer.Deserialize<Dictionary<string, string>>(preferencesCookie);
-                    if (preferences != null && preferences.ContainsKey("analytics"))
+                    // Values are mixed: "on"/"off" per category plus the numeric policy version
+                    var preferences = System.Text.Json.JsonSerializer.Deserialize<Dictionary<string, System.Text.Json.JsonElement>>(preferencesCookie);
+                    if (preferences != null && preferences.TryGetValue("analytics", out var analytics)
+                        && analytics.ValueKind == System.Text.Json.JsonValueKind.String)
                     {
                         return new CookiePreferences
                         {
-                            AnalyticsAccepted = preferences["analytics"] == "on"
+                            AnalyticsAccepted = analytics.GetString() == "on"
                         };
                     }
                 }
@@ -84,7 +106,7 @@ namespace FipsFrontend.Controllers
             };
         }
         
-        private void SetCookiePreferences(bool analyticsAccepted)
+        private void SetCookiePreferences(bool analyticsAccepted, string source)
         {
             var cookieOptions = new CookieOptions
             {
@@ -94,14 +116,64 @@ namespace FipsFrontend.Controllers
                 Expires = DateTimeOffset.UtcNow.AddYears(1)
             };
             
-            // Create the preferences object that matches the JavaScript format
-            var preferences = new Dictionary<string, string>
+            // Create the preferences object that matches the JavaScript format, including the
+            // policy version and consent timestamp the cookie manager uses to decide when to ask again
+            var receipt = new ConsentReceiptModel
+            {
+                ConsentId = GetConsentId() ?? Guid.NewGuid().ToString(),
+                Categories = new Dictionary<string, string> { { "analytics", analyticsAccepted ? "on" : "off" } },
+                PolicyVersion = _configuration.GetValue<int>("CookiePolicy:Version", 1),
+                Timestamp = DateTime.UtcNow,
+                Source = source
+            };
+            
+            var preferences = new Dictionary<string, object>(receipt.Categories.ToDictionary(c => c.Key, c => (object)c.Value))
             {
-                { "analytics", analyticsAccepted ? "on" : "off" }
+                { "__version", receipt.PolicyVersion },
+                { "__timestamp", receipt.Timestamp.ToString("o") },
+                { "__id", receipt.ConsentId }
             };
             
             var preferencesJson = System.Text.Json.JsonSerializer.Serialize(preferences);
             Response.Cookies.Append("cookie-preferences", preferencesJson, cookieOptions);
+            
+            // Without JavaScript the cookie manager cannot send a receipt, so record it here
+            LogConsentReceipt(receipt);
+        }
+        
+        private string? GetConsentId()
+        {
+            var preferencesCookie = Request.Cookies["cookie-preferences"];
+            if (string.IsNullOrEmpty(preferencesCookie))
+            {
+                return null;
+            }
+            
+            try
+            {
+                var preferences = System.Text.Json.JsonSerializer.Deserialize<Dictionary<string, System.Text.Json.JsonElement>>(preferencesCookie);
+                if (preferences != null && preferences.TryGetValue("__id", out var consentId)
+                    && consentId.ValueKind == System.Text.Json.JsonValueKind.String)
+                {
+                    return consentId.GetString();
+                }
+            }
+            catch
+            {
+                // A malformed cookie gets a new consent ID
+            }
+            
+            return null;
+        }
+        
+        private void LogConsentReceipt(ConsentReceiptModel receipt)
+        {
+            _logger.LogInformation("Consent receipt {ConsentId}: {Categories} under cookie policy version {PolicyVersion} at {Timestamp:o} from {Source}",
+                receipt.ConsentId,
+                string.Join(", ", receipt.Categories.Select(c => $"{c.Key}={c.Value}")),
+                receipt.PolicyVersion,
+                receipt.Timestamp,
+                receipt.Source);
         }
     }
     
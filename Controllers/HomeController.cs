@@ -1,5 +1,6 @@
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.RateLimiting;
 using FipsFrontend.Services;
 using FipsFrontend.Models;
 using System.Diagnostics;
@@ -88,6 +89,33 @@ public class HomeController : Controller
         return View();
     }
 
+    [HttpPost]
+    [EnableRateLimiting("client-reports")]
+    [RequestSizeLimit(32 * 1024)]
+    public IActionResult ClientError([FromBody] ClientErrorReportModel report)
+    {
+        // Sent by error-reporting.js when App Insights is blocked or analytics cookies are not accepted.
+        // The script sends at most 10 reports a session, but that is easy to get round, so the rate
+        // limit stops anyone flooding the logs. A full report with escaping fits well within the size limit.
+        if (report == null || !ModelState.IsValid)
+        {
+            return BadRequest();
+        }
+
+        var breadcrumbs = string.Join(" > ", report.Breadcrumbs.Select(b => $"{b.Timestamp:HH:mm:ss} {b.Type} {b.Message}"));
+
+        _logger.LogWarning("Client {ErrorType} {ErrorName} ({Fingerprint}) on {Page}: {ErrorMessage}. Stack: {Stack}. Breadcrumbs: {Breadcrumbs}",
+            report.Type,
+            report.Name,
+            report.Fingerprint,
+            report.Page,
+            report.Message,
+            report.Stack,
+            breadcrumbs);
+
+        return NoContent();
+    }
+
     [HttpGet]
     [Route("api/session/check")]
     public IActionResult CheckSession()
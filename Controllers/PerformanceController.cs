@@ -1,4 +1,6 @@
 using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.RateLimiting;
+using FipsFrontend.Models;
 using FipsFrontend.Services;
 
 namespace FipsFrontend.Controllers;
@@ -9,15 +11,18 @@ public class PerformanceController : Controller
     private readonly ILogger<PerformanceController> _logger;
     private readonly IPerformanceAnalysisService _performanceAnalysisService;
     private readonly ICachePerformanceService _cachePerformanceService;
+    private readonly IWebVitalsLoggingService _webVitalsLoggingService;
 
     public PerformanceController(
         ILogger<PerformanceController> logger,
         IPerformanceAnalysisService performanceAnalysisService,
-        ICachePerformanceService cachePerformanceService)
+        ICachePerformanceService cachePerformanceService,
+        IWebVitalsLoggingService webVitalsLoggingService)
     {
         _logger = logger;
         _performanceAnalysisService = performanceAnalysisService;
         _cachePerformanceService = cachePerformanceService;
+        _webVitalsLoggingService = webVitalsLoggingService;
     }
 
     [HttpGet]
@@ -58,6 +63,38 @@ public class PerformanceController : Controller
         }
     }
 
+    [HttpGet]
+    public async Task<IActionResult> SlowPages()
+    {
+        try
+        {
+            var slowPages = await _performanceAnalysisService.GetSlowPagesAsync();
+            return View(slowPages);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting slow pages");
+            return Json(new { error = ex.Message });
+        }
+    }
+
+    [HttpPost]
+    [EnableRateLimiting("client-reports")]
+    [RequestSizeLimit(8 * 1024)]
+    public IActionResult WebVitals([FromBody] WebVitalsReportModel report)
+    {
+        // Sent by web-vitals.js with navigator.sendBeacon when the page is hidden. One report is a
+        // handful of metrics, so the size limit is well above anything the script sends.
+        if (report == null || !ModelState.IsValid)
+        {
+            return BadRequest();
+        }
+
+        _webVitalsLoggingService.LogWebVitals(report);
+
+        return NoContent();
+    }
+
     [HttpGet]
     public async Task<IActionResult> CacheIssues()
     {
@@ -100,6 +137,7 @@ public class PerformanceController : Controller
                 cacheIssues = report.CacheIssues,
                 endpointMetrics = report.EndpointMetrics,
                 cacheMetrics = report.CacheMetrics,
+                slowPages = report.SlowPages,
                 generatedAt = report.GeneratedAt
             });
         }
@@ -1,5 +1,6 @@
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.RateLimiting;
 using Microsoft.AspNetCore.WebUtilities;
 using Microsoft.Extensions.Options;
 using FipsFrontend.Services;
@@ -18,8 +19,10 @@ public class ProductsController : Controller
     private readonly INotifyService _notifyService;
     private readonly ISearchTermLoggingService _searchTermLoggingService;
     private readonly IServiceAssessmentsService _assessmentsService;
+    private readonly ISearchSuggestionService _searchSuggestionService;
+    private readonly IProductComparisonService _productComparisonService;
 
-    public ProductsController(ILogger<ProductsController> logger, CmsApiService cmsApiService, IOptimizedCmsApiService optimizedCmsApiService, IOptions<EnabledFeatures> enabledFeatures, IConfiguration configuration, INotifyService notifyService, ISearchTermLoggingService searchTermLoggingService, IServiceAssessmentsService assessmentsService)
+    public ProductsController(ILogger<ProductsController> logger, CmsApiService cmsApiService, IOptimizedCmsApiService optimizedCmsApiService, IOptions<EnabledFeatures> enabledFeatures, IConfiguration configuration, INotifyService notifyService, ISearchTermLoggingService searchTermLoggingService, IServiceAssessmentsService assessmentsService, ISearchSuggestionService searchSuggestionService, IProductComparisonService productComparisonService)
     {
         _logger = logger;
         _cmsApiService = cmsApiService;
@@ -29,12 +32,18 @@ public class ProductsController : Controller
         _notifyService = notifyService;
         _searchTermLoggingService = searchTermLoggingService;
         _assessmentsService = assessmentsService;
+        _searchSuggestionService = searchSuggestionService;
+        _productComparisonService = productComparisonService;
     }
 
     // GET: Products
     public async Task<IActionResult> Index(string? keywords, string[]? phase, string[]? group, string[]? subgroup,
-        string[]? channel, string[]? type, string[]? cmdbStatus, string[]? parent, int page = 1, string? searchSource = null)
+        string[]? channel, string[]? type, string[]? cmdbStatus, string[]? parent, int page = 1, string? searchSource = null,
+        string? fragment = null)
     {
+        // live-filter.js asks for fragment=results to swap the results in place as filters change
+        var isResultsFragment = string.Equals(fragment, "results", StringComparison.OrdinalIgnoreCase);
+
         try
         {
             var viewModel = new ProductsViewModel();
@@ -353,8 +362,9 @@ public class ProductsController : Controller
             // Build selected filters for display
             BuildSelectedFilters(viewModel);
 
-            // Log search term (non-blocking, with rate limiting and deduplication)
-            if (!string.IsNullOrWhiteSpace(keywords))
+            // Log search term (non-blocking, with rate limiting and deduplication). Not for
+            // live-filter.js requests, which are made while the user is still typing the term.
+            if (!string.IsNullOrWhiteSpace(keywords) && !isResultsFragment)
             {
                 var ipAddress = GetClientIpAddress();
                 var userAgent = Request.Headers["User-Agent"].ToString();
@@ -371,15 +381,97 @@ public class ProductsController : Controller
             }
 
             ViewData["ActiveNav"] = "products";
-            return View(viewModel);
+            return isResultsFragment ? PartialView("_Results", viewModel) : View(viewModel);
         }
         catch (Exception ex)
         {
             _logger.LogError(ex, "Error loading products");
+
+            // The script falls back to loading the full page, which shows the empty listing
+            if (isResultsFragment)
+            {
+                return StatusCode(500);
+            }
             return View(new ProductsViewModel());
         }
     }
 
+    // POST: Products/SearchEvent
+    [HttpPost]
+    [EnableRateLimiting("client-reports")]
+    [RequestSizeLimit(32 * 1024)]
+    public IActionResult SearchEvent([FromBody] SearchJourneyEventModel journeyEvent)
+    {
+        // Sent by search-analytics.js with navigator.sendBeacon, so it does not depend on analytics consent.
+        // Each event is posted to the CMS, so the rate limit caps how many one address can cause.
+        if (journeyEvent == null || !ModelState.IsValid)
+        {
+            return BadRequest();
+        }
+
+        _searchTermLoggingService.LogSearchJourneyEvent(journeyEvent, GetClientIpAddress(), Request.Headers["User-Agent"].ToString());
+
+        return NoContent();
+    }
+
+    // GET: Products/Suggestions?q=case
+    [HttpGet]
+    public async Task<IActionResult> Suggestions(string? q)
+    {
+        // Requested by search-suggestions.js as the user types in a product search box
+        var query = q?.Trim() ?? string.Empty;
+        if (query.Length < 2 || query.Length > 100)
+        {
+            return Json(new List<SearchSuggestion>());
+        }
+
+        return Json(await _searchSuggestionService.GetSuggestionsAsync(query));
+    }
+
+    // GET: Products/Compare?id=FIPS-1&id=FIPS-2
+    [HttpGet]
+    public async Task<IActionResult> Compare(string[]? id)
+    {
+        // The IDs come from the shortlist kept by shortlist.js. With none, the page explains
+        // how to add products, and shortlist.js fills them in if the shortlist has some.
+        try
+        {
+            var viewModel = await _productComparisonService.CompareAsync(id);
+            ViewData["ActiveNav"] = "shortlist";
+            return View(viewModel);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error comparing products: {Ids}", string.Join(", ", id ?? Array.Empty<string>()));
+            return StatusCode(500);
+        }
+    }
+
+    // GET: Products/CompareExport?id=FIPS-1&id=FIPS-2
+    [HttpGet]
+    public async Task<IActionResult> CompareExport(string[]? id)
+    {
+        try
+        {
+            var comparison = await _productComparisonService.CompareAsync(id);
+            if (!comparison.Products.Any())
+            {
+                return NotFound();
+            }
+
+            // With a byte order mark, so that Excel reads names with accents correctly
+            var csv = System.Text.Encoding.UTF8.GetPreamble()
+                .Concat(System.Text.Encoding.UTF8.GetBytes(_productComparisonService.ToCsv(comparison)))
+                .ToArray();
+            return File(csv, "text/csv", "product-comparison.csv");
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error exporting product comparison: {Ids}", string.Join(", ", id ?? Array.Empty<string>()));
+            return StatusCode(500);
+        }
+    }
+
     // GET: Products/Details/5
     public async Task<IActionResult> Details(int id)
     {
@@ -5,4 +5,11 @@ public class AirtableConfiguration
     public string ApiKey { get; set; } = string.Empty;
     public string BaseId { get; set; } = string.Empty;
     public string FeedbackTableName { get; set; } = "Feedback";
+
+    /// <summary>
+    /// Send page ratings, reasons and page context in their own Useful, Reasons, Route, FipsID and
+    /// Filters columns. Turn on once the feedback table has those columns: Airtable rejects
+    /// unknown fields. While off, they are added to the end of the Feedback text instead.
+    /// </summary>
+    public bool ContextFieldsEnabled { get; set; } = false;
 }
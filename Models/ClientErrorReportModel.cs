@@ -0,0 +1,48 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace FipsFrontend.Models;
+
+/// <summary>
+/// A JavaScript error reported by error-reporting.js with navigator.sendBeacon, when App Insights
+/// is unavailable in the browser. Messages, stacks and breadcrumbs are redacted before sending.
+/// </summary>
+public class ClientErrorReportModel
+{
+    [Required]
+    [StringLength(16)]
+    public string Fingerprint { get; set; } = string.Empty;
+
+    [Required]
+    [RegularExpression("^(error|unhandledrejection|handled)$")]
+    public string Type { get; set; } = string.Empty;
+
+    [StringLength(100)]
+    public string? Name { get; set; }
+
+    [StringLength(500)]
+    public string? Message { get; set; }
+
+    [StringLength(4000)]
+    public string? Stack { get; set; }
+
+    [StringLength(2000)]
+    public string? Page { get; set; }
+
+    [MaxLength(20)]
+    public List<ClientErrorBreadcrumbModel> Breadcrumbs { get; set; } = new();
+}
+
+/// <summary>
+/// Something the user did before the error: a click, form submit, fetch request or navigation
+/// </summary>
+public class ClientErrorBreadcrumbModel
+{
+    [Required]
+    [RegularExpression("^(click|submit|fetch|navigation)$")]
+    public string Type { get; set; } = string.Empty;
+
+    [StringLength(300)]
+    public string? Message { get; set; }
+
+    public DateTime Timestamp { get; set; }
+}
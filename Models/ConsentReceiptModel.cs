@@ -0,0 +1,41 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace FipsFrontend.Models;
+
+/// <summary>
+/// Record of a cookie consent decision, sent by the cookie manager for data protection audits.
+/// Contains no personal data: the consent ID is random and only stored in the preferences cookie.
+/// </summary>
+public class ConsentReceiptModel : IValidatableObject
+{
+    /// <summary>
+    /// Cookie categories in the cookie manager's manifest
+    /// </summary>
+    public static readonly string[] CategoryNames = { "essential", "analytics" };
+
+    [Required]
+    [StringLength(64)]
+    public string ConsentId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// "on" or "off" for each of <see cref="CategoryNames"/> the user chose
+    /// </summary>
+    public Dictionary<string, string> Categories { get; set; } = new();
+
+    public int PolicyVersion { get; set; }
+
+    public DateTime Timestamp { get; set; }
+
+    [Required]
+    [StringLength(32)]
+    public string Source { get; set; } = string.Empty;
+
+    public IEnumerable<ValidationResult> Validate(ValidationContext validationContext)
+    {
+        // Categories are logged, so only the known names and values are accepted
+        if (Categories == null || Categories.Any(c => !CategoryNames.Contains(c.Key) || (c.Value != "on" && c.Value != "off")))
+        {
+            yield return new ValidationResult("Categories must be known cookie categories set to on or off", new[] { nameof(Categories) });
+        }
+    }
+}
@@ -2,9 +2,70 @@ using System.ComponentModel.DataAnnotations;
 
 namespace FipsFrontend.Models;
 
-public class FeedbackSubmissionModel
+/// <summary>
+/// Feedback from the panel at the foot of every page, sent by site.js. Either a yes/no answer
+/// to "Is this page useful?", or free text and reasons for what is wrong with the page.
+/// </summary>
+public class FeedbackSubmissionModel : IValidatableObject
 {
-    [Required]
+    /// <summary>
+    /// Reasons that can be selected in the feedback panel
+    /// </summary>
+    public static readonly string[] ReasonCodes = { "information-wrong", "out-of-date", "cannot-find" };
+
+    /// <summary>
+    /// Longest filter, as category:value, in <see cref="Filters"/>
+    /// </summary>
+    public const int MaxFilterLength = 150;
+
     [StringLength(1000, ErrorMessage = "Feedback cannot exceed 1000 characters")]
     public string FeedbackFormInput { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Answer to "Is this page useful?", or null when the feedback panel was used instead
+    /// </summary>
+    public bool? Useful { get; set; }
+
+    /// <summary>
+    /// Codes from <see cref="ReasonCodes"/>
+    /// </summary>
+    [MaxLength(3)]
+    public List<string> Reasons { get; set; } = new();
+
+    /// <summary>
+    /// Page the feedback was written on. Sent by site.js because feedback retried from the
+    /// offline queue is posted from whichever page the user is on by then.
+    /// </summary>
+    [Url]
+    [StringLength(2000)]
+    public string? PageUrl { get; set; }
+
+    /// <summary>
+    /// Controller and action that rendered the page, e.g. Products.Index
+    /// </summary>
+    [StringLength(100)]
+    [RegularExpression(@"^[A-Za-z0-9_]+\.[A-Za-z0-9_]+$")]
+    public string? Route { get; set; }
+
+    /// <summary>
+    /// FIPS ID of the product the page is about, if any
+    /// </summary>
+    [StringLength(50)]
+    public string? FipsId { get; set; }
+
+    /// <summary>
+    /// Filters applied to the products listing, as category:value
+    /// </summary>
+    [MaxLength(50)]
+    public List<string> Filters { get; set; } = new();
+
+    public bool HasContent => !string.IsNullOrWhiteSpace(FeedbackFormInput) || Useful.HasValue || Reasons?.Count > 0;
+
+    public IEnumerable<ValidationResult> Validate(ValidationContext validationContext)
+    {
+        if (Filters != null && Filters.Any(filter => filter == null || filter.Length > MaxFilterLength))
+        {
+            yield return new ValidationResult($"Filters cannot exceed {MaxFilterLength} characters", new[] { nameof(Filters) });
+        }
+    }
 }
@@ -0,0 +1,52 @@
+namespace FipsFrontend.Models;
+
+/// <summary>
+/// Shortlisted products laid side by side on /products/compare, one column per product.
+/// </summary>
+public class ProductComparisonViewModel : BaseViewModel
+{
+    /// <summary>
+    /// The FIPS ID, or document ID, of each product compared, in the order of Products
+    /// </summary>
+    public List<string> ProductIds { get; set; } = new List<string>();
+
+    public List<Product> Products { get; set; } = new List<Product>();
+
+    public List<ProductComparisonRow> Rows { get; set; } = new List<ProductComparisonRow>();
+
+    /// <summary>
+    /// Requested IDs for which no product was found, such as products that have since been removed
+    /// </summary>
+    public List<string> MissingIds { get; set; } = new List<string>();
+
+    public ProductComparisonViewModel()
+    {
+        PageTitle = "Compare products";
+        PageDescription = "Compare the products and services on your shortlist side by side.";
+    }
+}
+
+/// <summary>
+/// One field, such as Phase or Service owner, with a value for each product compared.
+/// </summary>
+public class ProductComparisonRow
+{
+    public string Label { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The value for each product, in the order of ProductComparisonViewModel.Products. Empty
+    /// where a product has no value.
+    /// </summary>
+    public List<string> Values { get; set; } = new List<string>();
+
+    /// <summary>
+    /// The values are addresses, shown as links
+    /// </summary>
+    public bool IsLink { get; set; }
+
+    /// <summary>
+    /// The products do not all have the same value. Always false for identifiers, which differ
+    /// for every product.
+    /// </summary>
+    public bool Differs { get; set; }
+}
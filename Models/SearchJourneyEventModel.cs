@@ -0,0 +1,65 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace FipsFrontend.Models;
+
+/// <summary>
+/// A step in a search on the products listing after the results were shown, sent by
+/// search-analytics.js with navigator.sendBeacon. Search terms are redacted before sending
+/// and the session ID is random, held only in the browser's sessionStorage.
+/// </summary>
+public class SearchJourneyEventModel : IValidatableObject
+{
+    /// <summary>
+    /// Longest filter, as category:value, in FiltersAdded or FiltersRemoved
+    /// </summary>
+    public const int MaxFilterLength = 150;
+
+    [Required]
+    [StringLength(64)]
+    public string SessionId { get; set; } = string.Empty;
+
+    [Required]
+    [RegularExpression("^(search_refined|search_result_click|search_abandoned)$")]
+    public string EventType { get; set; } = string.Empty;
+
+    [StringLength(200)]
+    public string? SearchTerm { get; set; }
+
+    [StringLength(200)]
+    public string? PreviousSearchTerm { get; set; }
+
+    [Range(0, int.MaxValue)]
+    public int ResultCount { get; set; }
+
+    [MaxLength(50)]
+    public List<string> FiltersAdded { get; set; } = new();
+
+    [MaxLength(50)]
+    public List<string> FiltersRemoved { get; set; } = new();
+
+    /// <summary>
+    /// Position of the clicked product across all result pages, starting at 1
+    /// </summary>
+    [Range(1, int.MaxValue)]
+    public int? Position { get; set; }
+
+    /// <summary>
+    /// Milliseconds from the results being shown to the product click or the search being abandoned
+    /// </summary>
+    [Range(0, long.MaxValue)]
+    public long? ElapsedMs { get; set; }
+
+    public IEnumerable<ValidationResult> Validate(ValidationContext validationContext)
+    {
+        // Null when the JSON has "filtersAdded": null
+        if (FiltersAdded == null || FiltersRemoved == null)
+        {
+            yield return new ValidationResult("Filters must be lists", new[] { nameof(FiltersAdded), nameof(FiltersRemoved) });
+        }
+        else if (FiltersAdded.Concat(FiltersRemoved).Any(filter => filter == null || filter.Length > MaxFilterLength))
+        {
+            yield return new ValidationResult($"Filters cannot exceed {MaxFilterLength} characters",
+                new[] { nameof(FiltersAdded), nameof(FiltersRemoved) });
+        }
+    }
+}
@@ -0,0 +1,34 @@
+namespace FipsFrontend.Models;
+
+/// <summary>
+/// A typeahead suggestion for the product search boxes, returned by /Products/Suggestions
+/// and shown by search-suggestions.js.
+/// </summary>
+public class SearchSuggestion
+{
+    /// <summary>
+    /// product, category or userGroup
+    /// </summary>
+    public string Type { get; set; } = string.Empty;
+
+    public string Label { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Shown under the label: a product's FIPS ID or a category's type, such as Phase
+    /// </summary>
+    public string? Hint { get; set; }
+
+    /// <summary>
+    /// Where choosing the suggestion goes: the product page, or the products listing with the
+    /// category filter or user group search applied
+    /// </summary>
+    public string Url { get; set; } = string.Empty;
+
+    /// <summary>
+    /// For categories, the products listing query parameter and value that apply the filter,
+    /// so the filter can be ticked in place on the listing
+    /// </summary>
+    public string? Filter { get; set; }
+
+    public string? Value { get; set; }
+}
@@ -0,0 +1,46 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace FipsFrontend.Models;
+
+/// <summary>
+/// Core Web Vitals measured in the browser for one page view, sent by web-vitals.js with
+/// navigator.sendBeacon. Contains no personal data: only the route, a device class and timings.
+/// </summary>
+public class WebVitalsReportModel
+{
+    /// <summary>
+    /// Controller and action that rendered the page, e.g. Products.Index
+    /// </summary>
+    [Required]
+    [StringLength(100)]
+    [RegularExpression(@"^[A-Za-z0-9_]+\.[A-Za-z0-9_]+$")]
+    public string Route { get; set; } = string.Empty;
+
+    [Required]
+    [RegularExpression("^(mobile|tablet|desktop)$")]
+    public string DeviceClass { get; set; } = string.Empty;
+
+    [Required]
+    [MinLength(1)]
+    [MaxLength(10)]
+    public List<WebVitalMetricModel> Metrics { get; set; } = new();
+}
+
+public class WebVitalMetricModel
+{
+    [Required]
+    [RegularExpression("^(LCP|CLS|INP|TTFB|LongTasks)$")]
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Milliseconds, except CLS which is a unitless score. For LongTasks, the total blocking time.
+    /// </summary>
+    [Range(0d, 600000d)]
+    public double Value { get; set; }
+
+    /// <summary>
+    /// Number of entries the value was measured from, e.g. the number of long tasks
+    /// </summary>
+    [Range(0, 100000)]
+    public int Count { get; set; }
+}
@@ -19,6 +19,8 @@ builder.Logging.AddFile("logs/app-{Date}.log");
 
 // Add services to the container.
 builder.Services.AddControllersWithViews();
+// http.js sends the token from the layout's fips-antiforgery meta tag in this header
+builder.Services.AddAntiforgery(options => options.HeaderName = "RequestVerificationToken");
 builder.Services.AddRazorPages();
 
 // Enable Azure AD authentication
@@ -75,6 +77,11 @@ builder.Services.AddScoped<ICachePerformanceService, CachePerformanceService>();
 builder.Services.AddScoped<IStartupCacheService, StartupCacheService>();
 builder.Services.AddScoped<IPerformanceAnalysisService, PerformanceAnalysisService>();
 
+// Register web vitals logging as a singleton, written to the log files by a hosted service
+builder.Services.AddSingleton<WebVitalsLoggingService>();
+builder.Services.AddSingleton<IWebVitalsLoggingService>(sp => sp.GetRequiredService<WebVitalsLoggingService>());
+builder.Services.AddHostedService(sp => sp.GetRequiredService<WebVitalsLoggingService>());
+
 // Register startup cache warming as a hosted service
 builder.Services.AddHostedService<StartupCacheHostedService>();
 
@@ -94,6 +101,12 @@ builder.Services.AddScoped<INotifyService, NotifyService>();
 // Register search term logging service
 builder.Services.AddScoped<ISearchTermLoggingService, SearchTermLoggingService>();
 
+// Register search suggestions service (typeahead on the product search boxes)
+builder.Services.AddScoped<ISearchSuggestionService, SearchSuggestionService>();
+
+// Register product comparison service (the shortlist comparison and its CSV download)
+builder.Services.AddScoped<IProductComparisonService, ProductComparisonService>();
+
 builder.Services.AddHttpContextAccessor();
 
 // Register Airtable service
@@ -169,6 +182,19 @@ builder.Services.AddRateLimiter(options =>
                 PermitLimit = 100,
                 Window = TimeSpan.FromMinutes(1)
             }));
+
+    // Reports sent by browsers without signing in, such as web vitals, limited per client address
+    options.AddPolicy("client-reports", httpContext =>
+        RateLimitPartition.GetFixedWindowLimiter(
+            partitionKey: httpContext.Request.Headers["X-Forwarded-For"].FirstOrDefault()?.Split(',')[0].Trim()
+                ?? httpContext.Connection.RemoteIpAddress?.ToString()
+                ?? "unknown",
+            factory: partition => new FixedWindowRateLimiterOptions
+            {
+                AutoReplenishment = true,
+                PermitLimit = 30,
+                Window = TimeSpan.FromMinutes(1)
+            }));
 });
 
 // Add session support with enhanced security
@@ -1,3 +1,4 @@
+using System.Net;
 using System.Text;
 using System.Text.Json;
 using Microsoft.Extensions.Options;
@@ -7,7 +8,7 @@ namespace FipsFrontend.Services;
 
 public interface IAirtableService
 {
-    Task<bool> SubmitFeedbackAsync(string feedback, string pageUrl, string service = "FIPS", string? userEmail = null);
+    Task<bool> SubmitFeedbackAsync(FeedbackSubmissionModel submission, string pageUrl, string service = "FIPS", string? userEmail = null);
 }
 
 public class AirtableService : IAirtableService
@@ -27,58 +28,125 @@ public class AirtableService : IAirtableService
         _httpClient.DefaultRequestHeaders.Add("Authorization", $"Bearer {_config.ApiKey}");
     }
 
-    public async Task<bool> SubmitFeedbackAsync(string feedback, string pageUrl, string service = "FIPS", string? userEmail = null)
+    /// <summary>
+    /// Adds a row to the feedback table. Useful, Reasons, Route, FipsID and Filters are only sent
+    /// when the submission has them. They go in their own columns when ContextFieldsEnabled is on,
+    /// and otherwise at the end of the Feedback text. If Airtable rejects the columns, the row is
+    /// sent again with them in the text, so that no feedback is lost.
+    /// </summary>
+    public async Task<bool> SubmitFeedbackAsync(FeedbackSubmissionModel submission, string pageUrl, string service = "FIPS", string? userEmail = null)
     {
         try
         {
-            _logger.LogInformation("AirtableService.SubmitFeedbackAsync called with feedback length: {FeedbackLength}", feedback?.Length ?? 0);
+            _logger.LogInformation("AirtableService.SubmitFeedbackAsync called with feedback length: {FeedbackLength}", submission.FeedbackFormInput?.Length ?? 0);
             _logger.LogInformation("Airtable configuration - BaseId: {BaseId}, ApiKey: {ApiKey}, TableName: {TableName}", 
                 _config.BaseId, 
                 _config.ApiKey?.Substring(0, Math.Min(10, _config.ApiKey.Length)) + "...", 
                 _config.FeedbackTableName);
 
-            var payload = new
+            if (_config.ContextFieldsEnabled)
             {
-                fields = new
+                var response = await PostFeedbackAsync(CreateFeedbackFields(submission, pageUrl, service, userEmail, inColumns: true));
+                if (response.StatusCode != HttpStatusCode.UnprocessableEntity)
                 {
-                    Feedback = feedback,
-                    Service = service,
-                    URL = pageUrl,
-                    UserID = userEmail
+                    return await IsSubmittedAsync(response);
                 }
-            };
 
-            var json = JsonSerializer.Serialize(payload);
-            var content = new StringContent(json, Encoding.UTF8, "application/json");
-            
-            _logger.LogInformation("JSON payload being sent to Airtable: {JsonPayload}", json);
+                var errorContent = await response.Content.ReadAsStringAsync();
+                _logger.LogWarning("Airtable rejected the feedback context columns, sending them in the Feedback text instead. Add the Useful, Reasons, Route, FipsID and Filters columns to the table. Error: {Error}", errorContent);
+            }
 
-            _logger.LogInformation("Submitting feedback to Airtable: {Feedback}, Page: {PageUrl}, Service: {Service}, UserEmail: {UserEmail}", 
-                feedback, pageUrl, service, userEmail);
-            
-            _logger.LogInformation("UserID field value being sent to Airtable: {UserID}", userEmail ?? "null");
+            return await IsSubmittedAsync(await PostFeedbackAsync(CreateFeedbackFields(submission, pageUrl, service, userEmail, inColumns: false)));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error submitting feedback to Airtable");
+            return false;
+        }
+    }
 
-            var requestUrl = $"{_config.FeedbackTableName}";
-            _logger.LogInformation("Making request to Airtable URL: {RequestUrl}", requestUrl);
+    private static Dictionary<string, object?> CreateFeedbackFields(FeedbackSubmissionModel submission, string pageUrl, string service, string? userEmail, bool inColumns)
+    {
+        var context = new List<(string Field, string Value)>();
+        if (submission.Useful.HasValue)
+        {
+            context.Add(("Useful", submission.Useful.Value ? "Yes" : "No"));
+        }
+        if (submission.Reasons.Count > 0)
+        {
+            context.Add(("Reasons", string.Join(", ", submission.Reasons)));
+        }
+        if (!string.IsNullOrEmpty(submission.Route))
+        {
+            context.Add(("Route", submission.Route));
+        }
+        if (!string.IsNullOrEmpty(submission.FipsId))
+        {
+            context.Add(("FipsID", submission.FipsId));
+        }
+        if (submission.Filters.Count > 0)
+        {
+            context.Add(("Filters", string.Join(", ", submission.Filters)));
+        }
 
-            var response = await _httpClient.PostAsync(requestUrl, content);
+        var feedback = submission.FeedbackFormInput ?? string.Empty;
+        if (!inColumns && context.Count > 0)
+        {
+            var contextText = string.Join("\n", context.Select(c => $"{c.Field}: {c.Value}"));
+            feedback = string.IsNullOrWhiteSpace(feedback) ? contextText : $"{feedback}\n\n{contextText}";
+        }
 
-            if (response.IsSuccessStatusCode)
-            {
-                _logger.LogInformation("Feedback submitted to Airtable successfully");
-                return true;
-            }
-            else
+        var fields = new Dictionary<string, object?>
+        {
+            ["Feedback"] = feedback,
+            ["Service"] = service,
+            ["URL"] = pageUrl,
+            ["UserID"] = userEmail
+        };
+
+        if (inColumns)
+        {
+            foreach (var (field, value) in context)
             {
-                var errorContent = await response.Content.ReadAsStringAsync();
-                _logger.LogError("Failed to submit feedback to Airtable. Status: {StatusCode}, Error: {Error}", 
-                    response.StatusCode, errorContent);
-                return false;
+                fields[field] = value;
             }
         }
-        catch (Exception ex)
+
+        return fields;
+    }
+
+    private async Task<HttpResponseMessage> PostFeedbackAsync(Dictionary<string, object?> fields)
+    {
+        var payload = new { fields };
+
+        var json = JsonSerializer.Serialize(payload);
+        var content = new StringContent(json, Encoding.UTF8, "application/json");
+        
+        _logger.LogInformation("JSON payload being sent to Airtable: {JsonPayload}", json);
+
+        _logger.LogInformation("Submitting feedback to Airtable: {Feedback}, Page: {PageUrl}, Service: {Service}, UserEmail: {UserEmail}", 
+            fields["Feedback"], fields["URL"], fields["Service"], fields["UserID"]);
+        
+        _logger.LogInformation("UserID field value being sent to Airtable: {UserID}", fields["UserID"] ?? "null");
+
+        var requestUrl = $"{_config.FeedbackTableName}";
+        _logger.LogInformation("Making request to Airtable URL: {RequestUrl}", requestUrl);
+
+        return await _httpClient.PostAsync(requestUrl, content);
+    }
+
+    private async Task<bool> IsSubmittedAsync(HttpResponseMessage response)
+    {
+        if (response.IsSuccessStatusCode)
         {
-            _logger.LogError(ex, "Error submitting feedback to Airtable");
+            _logger.LogInformation("Feedback submitted to Airtable successfully");
+            return true;
+        }
+        else
+        {
+            var errorContent = await response.Content.ReadAsStringAsync();
+            _logger.LogError("Failed to submit feedback to Airtable. Status: {StatusCode}, Error: {Error}", 
+                response.StatusCode, errorContent);
             return false;
         }
     }
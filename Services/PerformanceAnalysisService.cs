@@ -9,6 +9,7 @@ public interface IPerformanceAnalysisService
     Task<List<SlowEndpoint>> GetSlowEndpointsAsync(int thresholdMs = 1000);
     Task<List<CachePerformanceIssue>> GetCachePerformanceIssuesAsync();
     Task<Dictionary<string, EndpointMetrics>> GetEndpointMetricsAsync();
+    Task<List<SlowPage>> GetSlowPagesAsync();
 }
 
 public class PerformanceAnalysisService : IPerformanceAnalysisService
@@ -35,7 +36,8 @@ public class PerformanceAnalysisService : IPerformanceAnalysisService
             CacheMetrics = await _cachePerformanceService.GetPerformanceMetricsAsync(),
             SlowEndpoints = await GetSlowEndpointsAsync(),
             CacheIssues = await GetCachePerformanceIssuesAsync(),
-            EndpointMetrics = await GetEndpointMetricsAsync()
+            EndpointMetrics = await GetEndpointMetricsAsync(),
+            SlowPages = await GetSlowPagesAsync()
         };
 
         return report;
@@ -225,6 +227,121 @@ public class PerformanceAnalysisService : IPerformanceAnalysisService
         }
     }
 
+    public async Task<List<SlowPage>> GetSlowPagesAsync()
+    {
+        var slowPages = new List<SlowPage>();
+        var logDirectory = Path.Combine(_environment.ContentRootPath, "logs");
+
+        if (!Directory.Exists(logDirectory))
+            return slowPages;
+
+        try
+        {
+            var logFiles = Directory.GetFiles(logDirectory, "web-vitals-*.log")
+                .OrderByDescending(f => File.GetCreationTime(f))
+                .Take(7); // Last 7 days
+
+            var pageEntries = new Dictionary<(string route, string deviceClass), List<WebVitalsLogEntry>>();
+
+            foreach (var logFile in logFiles)
+            {
+                var lines = await File.ReadAllLinesAsync(logFile);
+                foreach (var line in lines)
+                {
+                    try
+                    {
+                        var logEntry = JsonSerializer.Deserialize<WebVitalsLogEntry>(line);
+                        if (logEntry == null || string.IsNullOrEmpty(logEntry.Route))
+                            continue;
+
+                        var key = (logEntry.Route, logEntry.DeviceClass);
+                        if (!pageEntries.ContainsKey(key))
+                            pageEntries[key] = new List<WebVitalsLogEntry>();
+
+                        pageEntries[key].Add(logEntry);
+                    }
+                    catch (JsonException)
+                    {
+                        // Skip malformed log entries
+                        continue;
+                    }
+                }
+            }
+
+            foreach (var kvp in pageEntries)
+            {
+                var entries = kvp.Value;
+                var page = new SlowPage
+                {
+                    Route = kvp.Key.route,
+                    DeviceClass = kvp.Key.deviceClass,
+                    SampleCount = entries.Count,
+                    LcpP75Ms = GetP75(entries, "LCP"),
+                    ClsP75 = GetP75(entries, "CLS"),
+                    InpP75Ms = GetP75(entries, "INP"),
+                    TtfbP75Ms = GetP75(entries, "TTFB"),
+                    LongTasksP75Ms = GetP75(entries, "LongTasks")
+                };
+                page.Rating = RatePage(page);
+
+                if (page.Rating != "Good")
+                {
+                    slowPages.Add(page);
+                }
+            }
+
+            return slowPages
+                .OrderByDescending(p => p.Rating == "Poor")
+                .ThenByDescending(p => p.LcpP75Ms ?? 0)
+                .ToList();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error analyzing slow pages");
+            return slowPages;
+        }
+    }
+
+    // Core Web Vitals are assessed at the 75th percentile of page views
+    private static double? GetP75(List<WebVitalsLogEntry> entries, string metric)
+    {
+        var values = entries
+            .Where(e => e.Metrics.ContainsKey(metric))
+            .Select(e => e.Metrics[metric])
+            .OrderBy(x => x)
+            .ToList();
+
+        if (!values.Any())
+            return null;
+
+        return values[(int)Math.Ceiling(values.Count * 0.75) - 1];
+    }
+
+    // Thresholds from https://web.dev/articles/vitals: (needs improvement above, poor above)
+    private static string RatePage(SlowPage page)
+    {
+        var ratings = new[]
+        {
+            Rate(page.LcpP75Ms, 2500, 4000),
+            Rate(page.ClsP75, 0.1, 0.25),
+            Rate(page.InpP75Ms, 200, 500),
+            Rate(page.TtfbP75Ms, 800, 1800)
+        };
+
+        if (ratings.Contains(2))
+            return "Poor";
+
+        return ratings.Contains(1) ? "Needs improvement" : "Good";
+    }
+
+    private static int Rate(double? value, double needsImprovement, double poor)
+    {
+        if (!value.HasValue || value.Value <= needsImprovement)
+            return 0;
+
+        return value.Value > poor ? 2 : 1;
+    }
+
     private Task<double> GetCacheHitRateForEndpoint(string endpoint)
     {
         // This would need to be implemented based on your specific logging structure
@@ -240,6 +357,7 @@ public class PerformanceReport
     public List<SlowEndpoint> SlowEndpoints { get; set; } = new();
     public List<CachePerformanceIssue> CacheIssues { get; set; } = new();
     public Dictionary<string, EndpointMetrics> EndpointMetrics { get; set; } = new();
+    public List<SlowPage> SlowPages { get; set; } = new();
 }
 
 public class SlowEndpoint
@@ -253,6 +371,19 @@ public class SlowEndpoint
     public double CacheHitRate { get; set; }
 }
 
+public class SlowPage
+{
+    public string Route { get; set; } = string.Empty;
+    public string DeviceClass { get; set; } = string.Empty;
+    public int SampleCount { get; set; }
+    public double? LcpP75Ms { get; set; }
+    public double? ClsP75 { get; set; }
+    public double? InpP75Ms { get; set; }
+    public double? TtfbP75Ms { get; set; }
+    public double? LongTasksP75Ms { get; set; }
+    public string Rating { get; set; } = string.Empty;
+}
+
 public class CachePerformanceIssue
 {
     public string Type { get; set; } = string.Empty;
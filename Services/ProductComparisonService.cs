@@ -0,0 +1,191 @@
+using System.Text;
+using FipsFrontend.Models;
+
+namespace FipsFrontend.Services;
+
+/// <summary>
+/// Side-by-side comparison of the products on a user's shortlist, shown on /products/compare
+/// and downloaded as CSV.
+/// </summary>
+public interface IProductComparisonService
+{
+    /// <summary>
+    /// Loads the products and lays their fields out in rows, marking the rows whose values differ.
+    /// </summary>
+    /// <param name="ids">FIPS IDs or document IDs. Duplicates and blanks are ignored, and only
+    /// the first MaxProducts are compared.</param>
+    Task<ProductComparisonViewModel> CompareAsync(IEnumerable<string>? ids);
+
+    /// <summary>
+    /// The comparison as CSV: a column for the field name, one per product and one saying
+    /// whether the products differ.
+    /// </summary>
+    string ToCsv(ProductComparisonViewModel comparison);
+}
+
+public class ProductComparisonService : IProductComparisonService
+{
+    /// <summary>
+    /// The most products that can be compared, which is also the size of the shortlist in shortlist.js
+    /// </summary>
+    public const int MaxProducts = 6;
+
+    // Category types shown as rows, in the order they appear on the products listing filters
+    private static readonly (string CategoryType, string Label)[] ComparedCategoryTypes =
+    {
+        ("Phase", "Phase"),
+        ("Business area", "Business area"),
+        ("Channel", "Channel"),
+        ("Type", "Type")
+    };
+
+    private readonly IOptimizedCmsApiService _optimizedCmsApiService;
+    private readonly IConfiguration _configuration;
+    private readonly ILogger<ProductComparisonService> _logger;
+
+    public ProductComparisonService(
+        IOptimizedCmsApiService optimizedCmsApiService,
+        IConfiguration configuration,
+        ILogger<ProductComparisonService> logger)
+    {
+        _optimizedCmsApiService = optimizedCmsApiService;
+        _configuration = configuration;
+        _logger = logger;
+    }
+
+    public async Task<ProductComparisonViewModel> CompareAsync(IEnumerable<string>? ids)
+    {
+        var comparison = new ProductComparisonViewModel();
+        var requestedIds = (ids ?? Enumerable.Empty<string>())
+            .Where(id => !string.IsNullOrWhiteSpace(id))
+            .Select(id => id.Trim())
+            .Distinct(StringComparer.OrdinalIgnoreCase)
+            .Take(MaxProducts)
+            .ToList();
+
+        // Each product is cached on its own, so these are usually the same lookups as the product pages
+        var productDetailDuration = TimeSpan.FromMinutes(_configuration.GetValue<double>("Caching:Durations:ProductDetail", 10));
+        foreach (var id in requestedIds)
+        {
+            var product = await _optimizedCmsApiService.GetProductByFipsIdAsync(id, productDetailDuration);
+            if (product == null)
+            {
+                comparison.MissingIds.Add(id);
+                continue;
+            }
+
+            comparison.ProductIds.Add(id);
+            comparison.Products.Add(product);
+        }
+
+        if (comparison.MissingIds.Any())
+        {
+            _logger.LogInformation("Products not found for comparison: {MissingIds}", string.Join(", ", comparison.MissingIds));
+        }
+
+        var products = comparison.Products;
+        foreach (var (categoryType, label) in ComparedCategoryTypes)
+        {
+            comparison.Rows.Add(CreateRow(label, products.Select(p => GetCategoryNames(p, categoryType))));
+        }
+
+        comparison.Rows.Add(CreateRow("Service owner", products.Select(p => GetContactNames(p.ServiceOwner))));
+        comparison.Rows.Add(CreateRow("Product manager", products.Select(p => GetContactNames(p.ProductManager))));
+        comparison.Rows.Add(CreateRow("Delivery manager", products.Select(p => GetContactNames(p.DeliveryManager))));
+        comparison.Rows.Add(CreateRow("Information asset owner", products.Select(p => GetContactNames(p.InformationAssetOwner))));
+        comparison.Rows.Add(CreateRow("Senior responsible officer", products.Select(p => GetContactNames(p.SeniorResponsibleOfficer))));
+
+        var serviceUrlRow = CreateRow("Service URL", products.Select(p => p.ProductUrl?.Trim() ?? string.Empty));
+        serviceUrlRow.IsLink = true;
+        comparison.Rows.Add(serviceUrlRow);
+
+        comparison.Rows.Add(CreateRow("FIPS ID", products.Select(p => p.FipsId ?? string.Empty), isIdentifier: true));
+        comparison.Rows.Add(CreateRow("CMDB System ID", products.Select(p => p.CmdbSysId ?? string.Empty), isIdentifier: true));
+
+        return comparison;
+    }
+
+    public string ToCsv(ProductComparisonViewModel comparison)
+    {
+        var csv = new StringBuilder();
+        AppendCsvLine(csv, new[] { "Field" }.Concat(comparison.Products.Select(p => p.Title)).Append("Different"));
+
+        foreach (var row in comparison.Rows)
+        {
+            AppendCsvLine(csv, new[] { row.Label }.Concat(row.Values).Append(row.Differs ? "Yes" : "No"));
+        }
+
+        return csv.ToString();
+    }
+
+    private static ProductComparisonRow CreateRow(string label, IEnumerable<string> values, bool isIdentifier = false)
+    {
+        var row = new ProductComparisonRow { Label = label, Values = values.ToList() };
+        row.Differs = !isIdentifier && row.Values.Distinct(StringComparer.OrdinalIgnoreCase).Count() > 1;
+        return row;
+    }
+
+    private static string GetCategoryNames(Product product, string categoryType)
+    {
+        var names = product.CategoryValues?
+            .Where(cv => cv.CategoryType?.Name?.Equals(categoryType, StringComparison.OrdinalIgnoreCase) == true)
+            .Select(cv => cv.Name)
+            .Where(name => !string.IsNullOrWhiteSpace(name))
+            .OrderBy(name => name, StringComparer.OrdinalIgnoreCase)
+            ?? Enumerable.Empty<string>();
+
+        return string.Join(", ", names);
+    }
+
+    private static string GetContactNames(List<EntraUser>? users)
+    {
+        var names = users?
+            .Where(user => user != null)
+            .Select(GetDisplayName)
+            .Where(name => !string.IsNullOrWhiteSpace(name))
+            ?? Enumerable.Empty<string>();
+
+        return string.Join(", ", names);
+    }
+
+    // As GetEntraUserDisplayName on the product page
+    private static string GetDisplayName(EntraUser user)
+    {
+        if (!string.IsNullOrWhiteSpace(user.DisplayName))
+        {
+            return user.DisplayName;
+        }
+
+        var fullName = $"{user.FirstName?.Trim()} {user.LastName?.Trim()}".Trim();
+        if (!string.IsNullOrWhiteSpace(fullName))
+        {
+            return fullName;
+        }
+
+        return user.EmailAddress ?? string.Empty;
+    }
+
+    private static void AppendCsvLine(StringBuilder csv, IEnumerable<string> fields)
+    {
+        csv.Append(string.Join(",", fields.Select(EscapeCsvField)));
+        csv.Append("\r\n");
+    }
+
+    private static string EscapeCsvField(string? value)
+    {
+        var field = value ?? string.Empty;
+
+        // Stops spreadsheet programs treating CMS text as a formula
+        if (field.Length > 0 && "=+-@\t\r".Contains(field[0]))
+        {
+            field = "'" + field;
+        }
+
+        if (field.IndexOfAny(new[] { ',', '"', '\r', '\n' }) >= 0)
+        {
+            field = "\"" + field.Replace("\"", "\"\"") + "\"";
+        }
+
+        return field;
+    }
+}
@@ -0,0 +1,147 @@
+using FipsFrontend.Models;
+
+namespace FipsFrontend.Services;
+
+/// <summary>
+/// Typeahead suggestions for the product search boxes: products by title or FIPS ID, the
+/// categories that can be used as filters on the products listing, and user groups.
+/// </summary>
+public interface ISearchSuggestionService
+{
+    /// <summary>
+    /// Gets the suggestions matching a query, grouped by type (products, then categories, then
+    /// user groups) with at most five of each.
+    /// </summary>
+    /// <param name="query">What the user has typed so far</param>
+    Task<List<SearchSuggestion>> GetSuggestionsAsync(string query);
+}
+
+public class SearchSuggestionService : ISearchSuggestionService
+{
+    private const string CacheKey = "search_suggestions";
+    private const int MaxSuggestionsPerType = 5;
+
+    // Category types offered as products listing filters, with the query parameter for each
+    private static readonly (string CategoryType, string Parameter)[] FilterCategoryTypes =
+    {
+        ("Phase", "phase"),
+        ("Channel", "channel"),
+        ("Type", "type"),
+        ("Business area", "group")
+    };
+
+    // Only the fields a product suggestion shows, so the list stays small however many
+    // products there are
+    private const string ProductsEndpoint =
+        "products?pagination[pageSize]=1000&fields[0]=title&fields[1]=fips_id&fields[2]=documentId&filters[state][$eq]=Active";
+
+    private readonly CmsApiService _cmsApiService;
+    private readonly IOptimizedCmsApiService _optimizedCmsApiService;
+    private readonly IEnhancedCacheService _cacheService;
+    private readonly IConfiguration _configuration;
+    private readonly ILogger<SearchSuggestionService> _logger;
+
+    public SearchSuggestionService(
+        CmsApiService cmsApiService,
+        IOptimizedCmsApiService optimizedCmsApiService,
+        IEnhancedCacheService cacheService,
+        IConfiguration configuration,
+        ILogger<SearchSuggestionService> logger)
+    {
+        _cmsApiService = cmsApiService;
+        _optimizedCmsApiService = optimizedCmsApiService;
+        _cacheService = cacheService;
+        _configuration = configuration;
+        _logger = logger;
+    }
+
+    public async Task<List<SearchSuggestion>> GetSuggestionsAsync(string query)
+    {
+        var term = query.Trim();
+        var suggestions = await GetAllSuggestionsAsync();
+
+        // Within each type, labels that start with the term come first
+        return suggestions
+            .Where(s => s.Label.Contains(term, StringComparison.OrdinalIgnoreCase) ||
+                        (s.Type == "product" && s.Hint?.Contains(term, StringComparison.OrdinalIgnoreCase) == true))
+            .GroupBy(s => s.Type)
+            .SelectMany(group => group
+                .OrderBy(s => s.Label.StartsWith(term, StringComparison.OrdinalIgnoreCase) ? 0 : 1)
+                .ThenBy(s => s.Label, StringComparer.OrdinalIgnoreCase)
+                .Take(MaxSuggestionsPerType))
+            .ToList();
+    }
+
+    /// <summary>
+    /// Everything that can be suggested, loaded from the CMS once and cached, so that typing in
+    /// a search box does not call the CMS.
+    /// </summary>
+    private async Task<List<SearchSuggestion>> GetAllSuggestionsAsync()
+    {
+        var cached = await _cacheService.GetAsync<List<SearchSuggestion>>(CacheKey);
+        if (cached != null)
+        {
+            return cached;
+        }
+
+        var categoryValuesDuration = TimeSpan.FromMinutes(_configuration.GetValue<double>("Caching:Durations:CategoryValues", 15));
+        var suggestions = new List<SearchSuggestion>();
+
+        // Not cached on its own, as the suggestions built from it are
+        var products = await GetProductsAsync();
+        suggestions.AddRange(products
+            .Where(p => !string.IsNullOrWhiteSpace(p.Title) && !string.IsNullOrWhiteSpace(p.FipsId ?? p.DocumentId))
+            .Select(p => new SearchSuggestion
+            {
+                Type = "product",
+                Label = p.Title,
+                Hint = p.FipsId,
+                Url = $"/product/{(string.IsNullOrWhiteSpace(p.FipsId) ? p.DocumentId : p.FipsId)}"
+            }));
+
+        foreach (var (categoryType, parameter) in FilterCategoryTypes)
+        {
+            var values = await _optimizedCmsApiService.GetCategoryValuesForFilter(categoryType, categoryValuesDuration) ?? new List<CategoryValue>();
+            suggestions.AddRange(values
+                .Where(v => v.Enabled && !string.IsNullOrWhiteSpace(v.Name))
+                .Select(v => new SearchSuggestion
+                {
+                    Type = "category",
+                    Label = v.Name,
+                    Hint = categoryType,
+                    Url = $"/products?{parameter}={Uri.EscapeDataString(v.Slug)}",
+                    Filter = parameter,
+                    Value = v.Slug
+                }));
+        }
+
+        // User groups are searched for by name, as CategoriesController.Filter does
+        var userGroups = await _optimizedCmsApiService.GetCategoryValuesForFilter("User group", categoryValuesDuration) ?? new List<CategoryValue>();
+        suggestions.AddRange(userGroups
+            .Where(v => v.Enabled && !string.IsNullOrWhiteSpace(v.Name))
+            .Select(v => new SearchSuggestion
+            {
+                Type = "userGroup",
+                Label = v.Name,
+                Hint = "User group",
+                Url = $"/products?keywords={Uri.EscapeDataString(v.Name)}&searchSource=userGroup"
+            }));
+
+        _logger.LogInformation("Loaded {Count} search suggestions", suggestions.Count);
+
+        // The CMS calls return nothing when they fail, so an empty list is not cached
+        if (suggestions.Any())
+        {
+            await _cacheService.SetAsync(CacheKey, suggestions, categoryValuesDuration);
+        }
+
+        return suggestions;
+    }
+
+    private async Task<List<Product>> GetProductsAsync()
+    {
+        // GetAsync logs failures and returns null
+        var response = await _cmsApiService.GetAsync<ApiCollectionResponse<Product>>(ProductsEndpoint);
+        return response?.Data ?? new List<Product>();
+    }
+}
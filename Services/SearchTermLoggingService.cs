@@ -28,6 +28,14 @@ public interface ISearchTermLoggingService
     /// <param name="ipAddress">Client IP address</param>
     /// <param name="userAgent">Client user agent</param>
     void LogSearchTerm(string? searchTerm, int resultCount, List<SearchResult>? results, string? ipAddress, string? userAgent);
+
+    /// <summary>
+    /// Logs a refinement, result click or abandonment in a search session asynchronously (non-blocking) with rate limiting.
+    /// </summary>
+    /// <param name="journeyEvent">The search journey event sent by the browser</param>
+    /// <param name="ipAddress">Client IP address</param>
+    /// <param name="userAgent">Client user agent</param>
+    void LogSearchJourneyEvent(SearchJourneyEventModel journeyEvent, string? ipAddress, string? userAgent);
 }
 
 public class SearchTermLoggingService : ISearchTermLoggingService
@@ -80,6 +88,87 @@ public class SearchTermLoggingService : ISearchTermLoggingService
         });
     }
 
+    public void LogSearchJourneyEvent(SearchJourneyEventModel journeyEvent, string? ipAddress, string? userAgent)
+    {
+        // Fire and forget - don't block the beacon request
+        _ = Task.Run(async () =>
+        {
+            try
+            {
+                await LogSearchJourneyEventAsync(journeyEvent, ipAddress, userAgent);
+            }
+            catch (Exception ex)
+            {
+                // Log but don't throw - this is non-critical
+                _logger.LogWarning(ex, "Failed to log search journey event: {EventType}", journeyEvent.EventType);
+            }
+        });
+    }
+
+    private async Task LogSearchJourneyEventAsync(SearchJourneyEventModel journeyEvent, string? ipAddress, string? userAgent)
+    {
+        var normalizedIp = string.IsNullOrWhiteSpace(ipAddress) ? "Unknown" : ipAddress.Trim();
+
+        // Rate limit per address and event contents, so a replayed or repeated beacon is only logged
+        // once. The session ID is chosen by the browser, so it is left out of the key: a caller
+        // changing it on every request would otherwise get every beacon through.
+        var rateLimitKey = string.Join(":",
+            "journey",
+            normalizedIp,
+            journeyEvent.EventType,
+            journeyEvent.SearchTerm?.Trim().ToLowerInvariant(),
+            journeyEvent.PreviousSearchTerm?.Trim().ToLowerInvariant(),
+            journeyEvent.Position,
+            string.Join(",", journeyEvent.FiltersAdded),
+            string.Join(",", journeyEvent.FiltersRemoved));
+        var now = DateTime.UtcNow;
+        if (_rateLimitCache.TryGetValue(rateLimitKey, out var lastLogTime) && (now - lastLogTime).TotalSeconds < _rateLimitSeconds)
+        {
+            _logger.LogDebug("Rate limit hit for search journey event: {EventType} from IP: {IpAddress}", journeyEvent.EventType, normalizedIp);
+            return;
+        }
+
+        CleanupOldEntries(now);
+        _rateLimitCache.AddOrUpdate(rateLimitKey, now, (key, oldValue) => now);
+
+        var journeyEventData = new
+        {
+            data = new
+            {
+                session_id = journeyEvent.SessionId,
+                event_type = journeyEvent.EventType,
+                search_term = TrimToLength(journeyEvent.SearchTerm),
+                previous_search_term = TrimToLength(journeyEvent.PreviousSearchTerm),
+                result_count = journeyEvent.ResultCount,
+                filters_added = journeyEvent.FiltersAdded,
+                filters_removed = journeyEvent.FiltersRemoved,
+                position = journeyEvent.Position,
+                elapsed_ms = journeyEvent.ElapsedMs,
+                ip_address = normalizedIp,
+                user_agent = userAgent?.Trim() ?? "Unknown",
+                timestamp = now
+            }
+        };
+
+        try
+        {
+            await _cmsApiService.PostAsync<object>("search-journey-events", journeyEventData);
+            _logger.LogDebug("Logged search journey event: {EventType} in session {SessionId}", journeyEvent.EventType, journeyEvent.SessionId);
+        }
+        catch
+        {
+            // Remove from cache on failure so it can be retried
+            _rateLimitCache.TryRemove(rateLimitKey, out _);
+            throw;
+        }
+    }
+
+    private string? TrimToLength(string? value)
+    {
+        var trimmed = value?.Trim();
+        return string.IsNullOrEmpty(trimmed) || trimmed.Length <= _maxSearchTermLength ? trimmed : trimmed[.._maxSearchTermLength];
+    }
+
     private async Task LogSearchTermAsync(string? searchTerm, int resultCount, List<SearchResult>? results, string? ipAddress, string? userAgent)
     {
         // Validate search term
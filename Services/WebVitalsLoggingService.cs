@@ -0,0 +1,130 @@
+using System.Text.Json;
+using System.Threading.Channels;
+using FipsFrontend.Models;
+
+namespace FipsFrontend.Services;
+
+/// <summary>
+/// Writes Core Web Vitals reported by browsers to daily log files, alongside the API request logs,
+/// for PerformanceAnalysisService to summarise.
+/// </summary>
+public interface IWebVitalsLoggingService
+{
+    /// <summary>
+    /// Queues the report to be written. Reports are dropped while the queue is full.
+    /// </summary>
+    void LogWebVitals(WebVitalsReportModel report);
+}
+
+/// <summary>
+/// Reports are queued and written by a single background writer, so that concurrent requests never
+/// append to the same file at once. The queue is bounded and each day's file has a size limit, so a
+/// flood of reports is dropped rather than filling memory or the disk.
+/// </summary>
+public class WebVitalsLoggingService : BackgroundService, IWebVitalsLoggingService
+{
+    private const int MaxQueuedEntries = 1000;
+    private const long MaxLogFileBytes = 20 * 1024 * 1024;
+
+    private readonly ILogger<WebVitalsLoggingService> _logger;
+    private readonly string _logDirectory;
+    private readonly Channel<WebVitalsLogEntry> _queue = Channel.CreateBounded<WebVitalsLogEntry>(
+        new BoundedChannelOptions(MaxQueuedEntries)
+        {
+            // Only TryWrite is used, which returns false rather than waiting when the queue is full
+            FullMode = BoundedChannelFullMode.Wait,
+            SingleReader = true
+        });
+
+    // The day whose file reached MaxLogFileBytes, so the warning is logged once a day
+    private DateOnly? _fullLogDate;
+
+    public WebVitalsLoggingService(ILogger<WebVitalsLoggingService> logger, IWebHostEnvironment environment)
+    {
+        _logger = logger;
+        _logDirectory = Path.Combine(environment.ContentRootPath, "logs");
+
+        // Ensure logs directory exists
+        if (!Directory.Exists(_logDirectory))
+        {
+            Directory.CreateDirectory(_logDirectory);
+        }
+    }
+
+    public void LogWebVitals(WebVitalsReportModel report)
+    {
+        var logEntry = new WebVitalsLogEntry
+        {
+            Timestamp = DateTimeOffset.UtcNow,
+            Route = report.Route,
+            DeviceClass = report.DeviceClass,
+            Metrics = report.Metrics.GroupBy(m => m.Name).ToDictionary(g => g.Key, g => g.Last().Value),
+            LongTaskCount = report.Metrics.LastOrDefault(m => m.Name == "LongTasks")?.Count ?? 0
+        };
+
+        if (!_queue.Writer.TryWrite(logEntry))
+        {
+            _logger.LogDebug("Web vitals queue is full, dropping report for {Route}", report.Route);
+        }
+    }
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        try
+        {
+            await foreach (var logEntry in _queue.Reader.ReadAllAsync(stoppingToken))
+            {
+                await WriteEntryAsync(logEntry);
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // Stopping. Anything still queued is lost, as the reports are only a sample.
+        }
+    }
+
+    public override Task StopAsync(CancellationToken cancellationToken)
+    {
+        _queue.Writer.TryComplete();
+        return base.StopAsync(cancellationToken);
+    }
+
+    private async Task WriteEntryAsync(WebVitalsLogEntry logEntry)
+    {
+        try
+        {
+            var logDate = DateOnly.FromDateTime(logEntry.Timestamp.UtcDateTime);
+            var logFileName = $"web-vitals-{logDate:yyyy-MM-dd}.log";
+            var logFilePath = Path.Combine(_logDirectory, logFileName);
+
+            var logFile = new FileInfo(logFilePath);
+            if (logFile.Exists && logFile.Length >= MaxLogFileBytes)
+            {
+                if (_fullLogDate != logDate)
+                {
+                    _fullLogDate = logDate;
+                    _logger.LogWarning("Web vitals log {LogFileName} has reached {MaxBytes} bytes, dropping reports until tomorrow",
+                        logFileName, MaxLogFileBytes);
+                }
+                return;
+            }
+
+            var logLine = JsonSerializer.Serialize(logEntry, new JsonSerializerOptions { WriteIndented = false });
+
+            await File.AppendAllTextAsync(logFilePath, logLine + Environment.NewLine);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to write web vitals log entry to file");
+        }
+    }
+}
+
+public class WebVitalsLogEntry
+{
+    public DateTimeOffset Timestamp { get; set; }
+    public string Route { get; set; } = string.Empty;
+    public string DeviceClass { get; set; } = string.Empty;
+    public Dictionary<string, double> Metrics { get; set; } = new();
+    public int LongTaskCount { get; set; }
+}
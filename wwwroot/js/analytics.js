@@ -0,0 +1,361 @@
+//
+// Analytics dispatcher
+//
+// Every tracked event goes through fipsAnalytics.track(name, properties), which builds one
+// event shape and fans it out to each registered provider:
+//
+//   {
+//     name: 'product_click',
+//     category: 'Product Interaction',   // from properties.category
+//     label: 'Product title',             // from properties.label
+//     properties: { product_id: '...' },  // everything else
+//     page: '/products',
+//     timestamp: '2025-01-01T00:00:00.000Z'
+//   }
+//
+// Measurements such as page performance go through fipsAnalytics.trackMetric(name, value,
+// properties), which sends the same shape with a numeric value to providers that record metrics.
+//
+// Errors reported by error-reporting.js go through fipsAnalytics.trackException(error,
+// properties) to providers that record exceptions.
+//
+// Events are passed through fipsRedaction (redaction.js) as they are created. When anything
+// is masked, properties.pii_redactions holds how many values were changed.
+//
+// Providers name the cookie manager category they need. Until the user has made a choice in
+// the cookie banner or preferences form, their events are held in memory; they are sent if
+// that category is accepted and thrown away if it is rejected.
+//
+// Providers may queue events and send them in batches. Scripts that track an event as the page
+// is hidden or unloaded call fipsAnalytics.flush() afterwards, so the event is sent straight away
+// rather than lost with the page.
+//
+// Each event is logged to fipsLog on the analytics channel with the providers it was sent to,
+// held for or skipped by, so the debug overlay (?fips-debug=1) shows it as it happens.
+//
+window.fipsAnalytics = (function () {
+    const MAX_PENDING_EVENTS = 100;
+    const providers = [];
+    let pending = [];
+
+    function hasConsent(category) {
+        return !category || (window.cookieManager && window.cookieManager.hasConsent(category));
+    }
+
+    function hasDecided() {
+        return window.cookieManager && window.cookieManager.hasPreferences();
+    }
+
+    function send(provider, method, event) {
+        try {
+            provider[method](event);
+        } catch (error) {
+            window.fipsLog.error('analytics', `Analytics provider '${provider.name}' failed to handle '${event.name}'`, error);
+        }
+    }
+
+    // Called whenever the cookie manager has applied the user's choices
+    function flushPending() {
+        if (!hasDecided()) {
+            return;
+        }
+
+        const events = pending;
+        pending = [];
+        let sent = 0;
+        events.forEach(function (item) {
+            if (hasConsent(item.provider.consentCategory)) {
+                send(item.provider, item.method, item.event);
+                sent++;
+            }
+        });
+
+        if (events.length) {
+            window.fipsLog.info('analytics', `Sent ${sent} held event(s), dropped ${events.length - sent} without consent`);
+        }
+    }
+
+    function createEvent(name, properties) {
+        const { category, label, ...rest } = properties || {};
+        const redacted = window.fipsRedaction.redact({
+            category: category || 'User Interaction',
+            label: label || '',
+            properties: rest,
+            page: window.location.pathname
+        });
+
+        if (redacted.redactions > 0) {
+            redacted.value.properties.pii_redactions = redacted.redactions;
+        }
+
+        return {
+            name: name,
+            category: redacted.value.category,
+            label: redacted.value.label,
+            properties: redacted.value.properties,
+            page: redacted.value.page,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    function dispatch(method, event) {
+        const outcome = { sent: [], held: [], skipped: [] };
+
+        providers.forEach(function (provider) {
+            if (typeof provider[method] !== 'function') {
+                return;
+            }
+
+            if (hasConsent(provider.consentCategory)) {
+                send(provider, method, event);
+                outcome.sent.push(provider.name);
+            } else if (!hasDecided() && pending.length < MAX_PENDING_EVENTS) {
+                pending.push({ provider: provider, method: method, event: event });
+                outcome.held.push(provider.name);
+            } else {
+                outcome.skipped.push(provider.name);
+            }
+        });
+
+        const summary = Object.keys(outcome)
+            .filter((key) => outcome[key].length)
+            .map((key) => `${key}: ${outcome[key].join(', ')}`)
+            .join('; ');
+        window.fipsLog.info('analytics', `${method} '${event.name}' (${summary || 'no providers'})`, event);
+    }
+
+    // Add a provider: { name, consentCategory, track(event), pageView(event), metric(event), exception(event), flush() }
+    function registerProvider(provider) {
+        providers.push(provider);
+    }
+
+    function track(name, properties) {
+        dispatch('track', createEvent(name, properties));
+    }
+
+    function trackPageView() {
+        dispatch('pageView', createEvent('page_view', { label: document.title, url: window.location.href }));
+    }
+
+    function trackMetric(name, value, properties) {
+        dispatch('metric', Object.assign(createEvent(name, properties), { value: value }));
+    }
+
+    function trackException(error, properties) {
+        dispatch('exception', Object.assign(createEvent('exception', properties), { error: error }));
+    }
+
+    // Ask providers to send any events they have queued, such as before the page is unloaded
+    function flush() {
+        providers.forEach(function (provider) {
+            if (typeof provider.flush === 'function' && hasConsent(provider.consentCategory)) {
+                send(provider, 'flush', { name: 'flush' });
+            }
+        });
+    }
+
+    if (window.cookieManager) {
+        window.cookieManager.on('ConsentApplied', flushPending, { replay: true });
+    }
+
+    return {
+        registerProvider: registerProvider,
+        track: track,
+        trackPageView: trackPageView,
+        trackMetric: trackMetric,
+        trackException: trackException,
+        flush: flush
+    };
+})();
+
+window.fipsAnalytics.registerProvider({
+    name: 'app-insights',
+    consentCategory: 'analytics',
+    track: function (event) {
+        if (window.appInsights) {
+            window.appInsights.trackEvent(event.name, {
+                category: event.category,
+                label: event.label,
+                page: event.page,
+                timestamp: event.timestamp,
+                ...event.properties
+            });
+        }
+    },
+    pageView: function (event) {
+        if (window.appInsights) {
+            window.appInsights.trackPageView(event.label, event.properties.url);
+        }
+    },
+    metric: function (event) {
+        if (window.appInsights) {
+            window.appInsights.trackMetric(event.name, event.value, 1, event.value, event.value, {
+                page: event.page,
+                ...event.properties
+            });
+        }
+    },
+    exception: function (event) {
+        if (window.appInsights) {
+            window.appInsights.trackException(event.error, null, {
+                page: event.page,
+                ...event.properties
+            });
+        }
+    },
+    // Not on the loader snippet, so only once the SDK has loaded
+    flush: function () {
+        if (window.appInsights && typeof window.appInsights.flush === 'function') {
+            window.appInsights.flush(true);
+        }
+    }
+});
+
+// Google Tag Manager picks events up from the dataLayer
+window.fipsAnalytics.registerProvider({
+    name: 'data-layer',
+    consentCategory: 'analytics',
+    track: function (event) {
+        window.dataLayer = window.dataLayer || [];
+        window.dataLayer.push({
+            event: event.name,
+            event_category: event.category,
+            event_label: event.label,
+            page_path: event.page,
+            ...event.properties
+        });
+    }
+});
+
+// Microsoft Clarity records the event name, with the category, label and any simple
+// property values set as custom tags
+window.fipsAnalytics.registerProvider({
+    name: 'clarity',
+    consentCategory: 'analytics',
+    track: function (event) {
+        if (typeof window.clarity !== 'function') {
+            return;
+        }
+
+        window.clarity('event', event.name);
+        window.clarity('set', 'event_category', event.category);
+        if (event.label) {
+            window.clarity('set', 'event_label', String(event.label));
+        }
+
+        Object.keys(event.properties).forEach(function (key) {
+            const value = event.properties[key];
+            if (['string', 'number', 'boolean'].includes(typeof value) && value !== '') {
+                window.clarity('set', key, String(value));
+            }
+        });
+    }
+});
+
+//
+// Declarative tracking
+//
+// Elements opt in through markup, so views need no tracking script of their own:
+//
+//   <a href="..." data-track-event="product_click" data-track-category="Product Interaction"
+//      data-track-label="Product title" data-track-product-id="123">
+//
+// data-track-category and data-track-label become the event's category and label, and every
+// other data-track-* attribute becomes a property (data-track-product-id → product_id). Links
+// and buttons are tracked when clicked, forms when submitted. On forms, data-track-fields lists
+// fields whose current values are added as properties, as name or name:property pairs
+// (data-track-fields="keywords:search_term"); empty fields are left out.
+//
+// Links to products and categories that are not marked up are tracked as ProductClicked and
+// CategoryClicked. The same event for the same element is only sent once a second, so double
+// clicks and double submits are not counted twice.
+//
+(function () {
+    const DEDUPE_INTERVAL_MS = 1000;
+    const RESERVED_ATTRIBUTES = ['trackEvent', 'trackFields'];
+    const DEFAULT_LINK_EVENTS = [
+        { selector: 'a[href*="/products/"], a[href*="/product/"]', name: 'ProductClicked', urlProperty: 'productUrl', textProperty: 'productText' },
+        { selector: 'a[href*="/categories/"], a[href*="/category/"]', name: 'CategoryClicked', urlProperty: 'categoryUrl', textProperty: 'categoryText' }
+    ];
+
+    let lastTracked = null;
+
+    function toPropertyName(datasetKey) {
+        const name = datasetKey.replace(/^track/, '');
+        return (name.charAt(0).toLowerCase() + name.slice(1).replace(/[A-Z]/g, (letter) => '_' + letter.toLowerCase())).replace(/-/g, '_');
+    }
+
+    function readAttributes(element) {
+        const properties = {};
+
+        Object.keys(element.dataset).forEach(function (key) {
+            if (key.startsWith('track') && key !== 'track' && !RESERVED_ATTRIBUTES.includes(key)) {
+                properties[toPropertyName(key)] = element.dataset[key];
+            }
+        });
+
+        return properties;
+    }
+
+    function readFields(form, properties) {
+        const formData = new FormData(form);
+
+        (form.dataset.trackFields || '').split(/\s+/).filter(Boolean).forEach(function (field) {
+            const [name, property] = field.split(':');
+            const value = (formData.get(name) || '').toString().trim();
+            if (value) {
+                properties[property || name] = value;
+            }
+        });
+
+        return properties;
+    }
+
+    function isDuplicate(element, name) {
+        const now = Date.now();
+        if (lastTracked && lastTracked.element === element && lastTracked.name === name && now - lastTracked.time < DEDUPE_INTERVAL_MS) {
+            return true;
+        }
+
+        lastTracked = { element: element, name: name, time: now };
+        return false;
+    }
+
+    function trackElement(element, name, properties) {
+        if (!isDuplicate(element, name)) {
+            window.fipsAnalytics.track(name, properties);
+        }
+    }
+
+    document.addEventListener('click', function (e) {
+        if (!(e.target instanceof Element)) {
+            return;
+        }
+
+        const element = e.target.closest('[data-track-event]');
+        if (element && element.tagName !== 'FORM') {
+            trackElement(element, element.dataset.trackEvent, readAttributes(element));
+            return;
+        }
+
+        const link = e.target.closest('a[href]');
+        if (!link) {
+            return;
+        }
+
+        const match = DEFAULT_LINK_EVENTS.find((definition) => link.matches(definition.selector));
+        if (match) {
+            trackElement(link, match.name, {
+                [match.urlProperty]: link.href,
+                [match.textProperty]: link.textContent.trim()
+            });
+        }
+    });
+
+    document.addEventListener('submit', function (e) {
+        const form = e.target;
+        if (form instanceof HTMLFormElement && form.dataset.trackEvent) {
+            trackElement(form, form.dataset.trackEvent, readFields(form, readAttributes(form)));
+        }
+    });
+})();
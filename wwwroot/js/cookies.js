@@ -1,5 +1,5 @@
-sessionStorage.setItem('clarityID', 't9ijn4cqjo');
-const cID = sessionStorage.getItem('clarityID');
+// Microsoft Clarity project ID
+const cID = 't9ijn4cqjo';
 
 window.dataLayer = window.dataLayer || [];
 
@@ -14,38 +14,45 @@ window.dataLayer = window.dataLayer || [];
           : e || self).cookieManager = n()
 }(this, (function () {
   "use strict";
+  var M = window.fipsLog || { debug: function () { }, info: function () { }, warn: function () { }, error: function () { } };
   var e = function () {
     function e(e) {
       this.config = e
     }
-    return e.prototype.getCategoryByCookieName = function (n) {
-      var o;
-      return n === this.config.userPreferences.cookieName
-        ? {
-          name: "__internal",
-          optional: !1,
-          matchBy: "exact"
-        }
-        : null !== (o = this.getCategories().filter((function (e) {
-          return e
-            .cookies
-            .some((function (o) {
+    return e.prototype.getCategoryByCookieName = function (e) {
+      return this._getCategoryByName(e, "cookies", [n.getPreferenceCookieName(this.config.userPreferences)])
+    },
+      e.prototype.getCategoryByStorageKey = function (e) {
+        return this._getCategoryByName(e, "storageKeys", [this.config.consentReceipts.queueKey, this.config.tabSync.channelName])
+      },
+      e.prototype._getCategoryByName = function (n, o, t) {
+        var r;
+        return -1 !== t.indexOf(n)
+          ? {
+            name: "__internal",
+            optional: !1,
+            matchBy: "exact"
+          }
+          : null !== (r = this.getCategories().filter((function (e) {
+            return e[o].some((function (o) {
               switch (e.matchBy) {
                 case "exact":
                   return n === o;
                 case "includes":
                   return n.includes(o);
+                case "regex":
+                  return new RegExp(o).test(n);
                 default:
                   return n.startsWith(o)
               }
             }))
-        }))[0]) && void 0 !== o
-          ? o
-          : {
-            name: e.DEFAULTS.UNDEFINED_CATEGORY_NAME,
-            optional: !0
-          }
-    },
+          }))[0]) && void 0 !== r
+            ? r
+            : {
+              name: e.DEFAULTS.UNDEFINED_CATEGORY_NAME,
+              optional: !0
+            }
+      },
       e.prototype.getCategories = function () {
         return this
           .config
@@ -55,11 +62,19 @@ window.dataLayer = window.dataLayer || [];
               o;
             return {
               name: e.categoryName,
-              cookies: e.cookies,
+              cookies: e.cookies.map(b),
+              storageKeys: (e.storageKeys || []).map(b),
+              descriptions: e
+                .cookies
+                .concat(e.storageKeys || [])
+                .filter((function (e) {
+                  return "object" == typeof e
+                })),
               optional: null === (n = e.optional) || void 0 === n || n,
               matchBy: null !== (o = e.matchBy) && void 0 !== o
                 ? o
-                : "startsWith"
+                : "startsWith",
+              scripts: e.scripts || []
             }
           }))
       },
@@ -75,12 +90,45 @@ window.dataLayer = window.dataLayer || [];
           this.userPreferences = o
       }
       return n.prototype.processCookies = function () {
-        this.config.additionalOptions.deleteUndefinedCookies && this._processUnCategorizedCookies(),
-          this._processNonConsentedCookies()
+        this.config.additionalOptions.deleteUndefinedCookies && (this._processUnCategorizedCookies(), this._processUnCategorizedStorage()),
+          this._processNonConsentedCookies(),
+          this._processNonConsentedStorage()
       },
+        n.prototype._processNonConsentedStorage = function () {
+          var o = this;
+          M.debug("cookies", "Deleting non-consented storage keys"),
+            n
+              .getAllStorageKeys()
+              .filter((function (n) {
+                var t = o
+                  .manifestHandler
+                  .getCategoryByStorageKey(n.name);
+                return t.name !== e.DEFAULTS.UNDEFINED_CATEGORY_NAME && t.optional && !o
+                  .userPreferences
+                  .getPreferences()[t.name]
+              }))
+              .forEach((function (e) {
+                return n.deleteStorageKey(e)
+              }))
+        },
+        n.prototype._processUnCategorizedStorage = function () {
+          var o = this;
+          M.debug("cookies", "Deleting non-categorized storage keys"),
+            n
+              .getAllStorageKeys()
+              .filter((function (n) {
+                return o
+                  .manifestHandler
+                  .getCategoryByStorageKey(n.name)
+                  .name === e.DEFAULTS.UNDEFINED_CATEGORY_NAME
+              }))
+              .forEach((function (e) {
+                return n.deleteStorageKey(e)
+              }))
+        },
         n.prototype._processNonConsentedCookies = function () {
           var o = this;
-          console.debug("Deleting non-consented cookies"),
+          M.debug("cookies", "Deleting non-consented cookies"),
             n
               .getAllCookies()
               .filter((function (n) {
@@ -97,7 +145,7 @@ window.dataLayer = window.dataLayer || [];
         },
         n.prototype._processUnCategorizedCookies = function () {
           var o = this;
-          console.debug("Deleting non-categorized cookies"),
+          M.debug("cookies", "Deleting non-categorized cookies"),
             n
               .getAllCookies()
               .filter((function (n) {
@@ -128,6 +176,48 @@ window.dataLayer = window.dataLayer || [];
               return { name: n[0], value: n[1] }
             }))
         },
+        n.prototype.reportUnCategorized = function () {
+          var o = this,
+            t = function (n) {
+              return n.name === e.DEFAULTS.UNDEFINED_CATEGORY_NAME
+            },
+            r = n
+              .getAllCookies()
+              .filter((function (e) {
+                return t(o.manifestHandler.getCategoryByCookieName(e.name))
+              }))
+              .map((function (e) {
+                return { name: e.name, type: "cookie" }
+              }))
+              .concat(n.getAllStorageKeys().filter((function (e) {
+                return t(o.manifestHandler.getCategoryByStorageKey(e.name))
+              })).map((function (e) {
+                return { name: e.name, type: e.storage }
+              })));
+          return r.length
+            ? (M.warn("cookies", "Found ".concat(r.length, " cookie(s) or storage key(s) missing from the cookie manifest"), r))
+            : M.debug("cookies", "All cookies and storage keys are in the cookie manifest"),
+            r
+        },
+        n.getAllStorageKeys = function () {
+          var e = [];
+          return ["localStorage", "sessionStorage"].forEach((function (n) {
+            var o;
+            try {
+              o = window[n]
+            } catch (e) {
+              return void M.debug("cookies", "Unable to access ".concat(n))
+            }
+            if (o)
+              for (var t = 0; t < o.length; t++)
+                e.push({ name: o.key(t), storage: n })
+          })),
+            e
+        },
+        n.deleteStorageKey = function (e) {
+          M.info("cookies", "Deleting ".concat(e.storage, " key: ") + e.name),
+            window[e.storage].removeItem(e.name)
+        },
         n.getCookie = function (e) {
           return n
             .getAllCookies()
@@ -145,31 +235,45 @@ window.dataLayer = window.dataLayer || [];
             r += n
               ? ";expires=" + t.toUTCString()
               : "",
-            r += o
-              ? ";secure"
-              : "",
-            r += ";path=/;",
+            r += null != o
+              ? o
+              : ";path=/",
             document.cookie = r,
-            console.debug("Saved '".concat(e.name, "' cookie"))
+            M.debug("cookies", "Saved '".concat(e.name, "' cookie"))
         },
-        n.deleteCookie = function (e) {
-          console.debug("Deleting cookie: " + e.name);
-          var n = window.location.hostname,
-            o = n.substring(n.indexOf(".")),
+        n.deleteCookie = function (e, n) {
+          M.info("cookies", "Deleting cookie: " + e.name);
+          var o = window.location.hostname.split("."),
             t = new Date(-1).toUTCString();
-          [
-            n, "." + n,
-            o,
-            "." + o
-          ].forEach((function (n) {
-            document.cookie = e.name + "=;expires=" + t + ";domain=" + n + ";path=/;"
-          }))
+          if (null != n)
+            return void (document.cookie = e.name + "=;expires=" + t + n);
+          [""]
+            .concat(o.slice(0, -1).map((function (e, n) {
+              return ";domain=" + o.slice(n).join(".")
+            })))
+            .forEach((function (n) {
+              document.cookie = e.name + "=;expires=" + t + n + ";path=/"
+            }))
+        },
+        n.getPreferenceCookieName = function (e) {
+          return (e.prefix || "") + e.cookieName
+        },
+        n.getCookieAttributes = function (e) {
+          return ";path=/" + (e.domain
+            ? ";domain=" + e.domain
+            : "") + (e.cookieSecure
+              ? ";secure"
+              : "") + (e.sameSite
+                ? ";samesite=" + e.sameSite
+                : "") + (e.partitioned
+                  ? ";partitioned"
+                  : "")
         },
         n
     }(),
     o = function () {
       function e() { }
-      return e.on = function (n, o) {
+      return e.on = function (n, o, r) {
         if ("string" == typeof n) {
           if ("function" == typeof o) {
             n = n.toLowerCase();
@@ -185,15 +289,27 @@ window.dataLayer = window.dataLayer || [];
               e
                 ._handlerMap
                 .get(n)
-                .set(t, o), {
+                .set(t, o),
+              r && r.replay && e._history.has(n) && o(e._history.get(n)), {
               type: n,
               token: t
             }
           }
-          console.error("No callback function provided")
+          M.error("cookies", "No callback function provided")
         } else
-          console.error("Event not provided")
+          M.error("cookies", "Event not provided")
       },
+        e.once = function (n, o, t) {
+          var r,
+            i = !1;
+          return r = e.on(n, "function" == typeof o
+            ? function (n) {
+              i || (i = !0, r && e.off(r), o(n))
+            }
+            : o, t),
+            i && r && e.off(r),
+            r
+        },
         e.off = function (n) {
           var o,
             t;
@@ -203,7 +319,7 @@ window.dataLayer = window.dataLayer || [];
               .toLowerCase(),
               t = n.token
           } catch (e) {
-            return void console.error("Missing or malformed event token provided")
+            return void M.error("cookies", "Missing or malformed event token provided")
           }
           e
             ._handlerMap
@@ -214,7 +330,8 @@ window.dataLayer = window.dataLayer || [];
         },
         e.emit = function (n, o) {
           n = n.toLowerCase(),
-            console.debug("Event fired: " + n),
+            M.debug("cookies", "Event fired: " + n),
+            e._history.set(n, o),
             e
               ._handlerMap
               .has(n) && e
@@ -225,12 +342,19 @@ window.dataLayer = window.dataLayer || [];
                 }))
         },
         e._handlerMap = new Map,
+        e._history = new Map,
         e
     }(),
+    y = {
+      VERSION: "__version",
+      TIMESTAMP: "__timestamp",
+      CONSENT_ID: "__id"
+    },
     t = function () {
-      function e(e, n) {
+      function e(e, n, o) {
         this.config = e,
-          this.manifestHandler = n
+          this.manifestHandler = n,
+          this.consentReceipts = o
       }
       return e.prototype.processPreferences = function () {
         var e = this.getPreferenceCookie();
@@ -242,17 +366,17 @@ window.dataLayer = window.dataLayer || [];
         e.prototype.getPreferences = function () {
           return this.preferences
             ? this.preferences
-            : (console.error("User preferences not loaded/set, call .processPreferences() first"), {})
+            : (M.error("cookies", "User preferences not loaded/set, call .processPreferences() first"), {})
         },
         e.prototype.setPreferences = function (e) {
-          console.debug("Setting preferences to: " + JSON.stringify(e)),
+          M.info("consent", "Setting preferences to: " + JSON.stringify(e)),
             this.preferences = e,
             o.emit("UserPreferencesSet", e)
         },
         e.prototype.getPreferenceCookie = function () {
-          return n.getCookie(this.config.userPreferences.cookieName)
+          return n.getCookie(n.getPreferenceCookieName(this.config.userPreferences))
         },
-        e.prototype.savePreferencesToCookie = function () {
+        e.prototype.savePreferencesToCookie = function (r) {
           var e = {},
             t = this.getPreferences();
           Object
@@ -262,26 +386,39 @@ window.dataLayer = window.dataLayer || [];
                 ? "on"
                 : "off"
             })),
+            e[y.VERSION] = this.config.userPreferences.policyVersion,
+            e[y.TIMESTAMP] = (new Date).toISOString(),
+            e[y.CONSENT_ID] = this.consentId || (this.consentId = k.generateConsentId()),
             n.saveCookie({
-              name: this.config.userPreferences.cookieName,
+              name: n.getPreferenceCookieName(this.config.userPreferences),
               value: e
-            }, this.config.userPreferences.cookieExpiry, this.config.userPreferences.cookieSecure),
-            o.emit("UserPreferencesSaved", e)
+            }, this.config.userPreferences.cookieExpiry, n.getCookieAttributes(this.config.userPreferences)),
+            o.emit("UserPreferencesSaved", e),
+            this.consentReceipts && this.consentReceipts.send(e, r)
         },
         e.prototype._loadPreferencesFromCookie = function () {
           var e,
-            t = this.getPreferenceCookie();
+            t = this.getPreferenceCookie(),
+            i = n.getCookieAttributes(this.config.userPreferences);
           try {
-            console.debug("Loading preferences from cookie"),
+            M.debug("consent", "Loading preferences from cookie"),
               e = JSON.parse(t.value)
           } catch (e) {
-            return console.error('Unable to parse user preference cookie "'.concat(t.name, '" as JSON.')),
-              n.deleteCookie(t),
+            return M.error("cookies", 'Unable to parse user preference cookie "'.concat(t.name, '" as JSON.')),
+              n.deleteCookie(t, i),
               this._loadPreferenceDefaults()
           }
           if ("object" != typeof e)
-            return console.debug("User preferences cookie is malformed, deleting old user preferences cookie."),
-              n.deleteCookie(t),
+            return M.debug("consent", "User preferences cookie is malformed, deleting old user preferences cookie."),
+              n.deleteCookie(t, i),
+              this._loadPreferenceDefaults();
+          if (this._isOutdatedConsent(e))
+            return M.debug("consent", "User preferences cookie was set under an older cookie policy, deleting old user preferences cookie."),
+              n.deleteCookie(t, i),
+              this._loadPreferenceDefaults();
+          if (this._isExpiredConsent(e))
+            return M.debug("consent", "User preferences cookie consent has expired, deleting old user preferences cookie."),
+              n.deleteCookie(t, i),
               this._loadPreferenceDefaults();
           if (this.manifestHandler.getCategories().filter((function (e) {
             return e.optional
@@ -290,38 +427,317 @@ window.dataLayer = window.dataLayer || [];
               .keys(e)
               .includes(n.name)
           })))
-            return console.debug("User preferences cookie is missing categories, deleting old user preferences cookie."),
-              n.deleteCookie(t),
+            return M.debug("consent", "User preferences cookie is missing categories, deleting old user preferences cookie."),
+              n.deleteCookie(t, i),
               this._loadPreferenceDefaults();
           var r = {};
           return Object
             .keys(e)
+            .filter((function (e) {
+              return 0 !== e.indexOf("__")
+            }))
             .forEach((function (n) {
               r[n] = "on" === e[n]
             })),
+            this.consentId = e[y.CONSENT_ID],
             o.emit("UserPreferencesLoaded", e),
             r
         },
+        e.prototype._isOutdatedConsent = function (e) {
+          var n = e[y.VERSION];
+          return "number" != typeof n || n < this.config.userPreferences.policyVersion
+        },
+        e.prototype._isExpiredConsent = function (e) {
+          var n = this.config.userPreferences.maxConsentAge;
+          if (void 0 === n)
+            return !1;
+          var o = Date.parse(e[y.TIMESTAMP]);
+          return isNaN(o) || Date.now() - o > 864e5 * n
+        },
         e.prototype._loadPreferenceDefaults = function () {
           var e = this;
-          console.debug("Loading preferences from defaults");
+          M.debug("consent", "Loading preferences from defaults");
           var n = {},
-            t = {};
-          return this
+            t = {},
+            r = this.config.additionalOptions.respectBrowserPrivacySignals
+              ? this._getBrowserPrivacySignal()
+              : null,
+            i = !r && this.config.additionalOptions.defaultConsent;
+          return this.privacySignal = r,
+            r && M.info("consent", "Browser privacy signal '".concat(r, "' detected, optional categories default to off")),
+            this
+              .manifestHandler
+              .getCategories()
+              .filter((function (e) {
+                var n;
+                return null === (n = e.optional) || void 0 === n || n
+              }))
+              .forEach((function (e) {
+                n[e.name] = i,
+                  t[e.name] = i
+                    ? "on"
+                    : "off"
+              })),
+            o.emit("UserPreferencesLoaded", t),
+            r && o.emit("BrowserPrivacySignalApplied", { signal: r }),
+            n
+        },
+        e.prototype._getBrowserPrivacySignal = function () {
+          return !0 === navigator.globalPrivacyControl
+            ? "globalPrivacyControl"
+            : "1" === navigator.doNotTrack || "1" === window.doNotTrack || "yes" === navigator.doNotTrack
+              ? "doNotTrack"
+              : null
+        },
+        e
+    }(),
+    v = function () {
+      function e(e, n, o, t) {
+        this.config = e,
+          this.manifestHandler = n,
+          this.userPreferences = o,
+          this.cookieHandler = t
+      }
+      return e.prototype.applyConsent = function () {
+        this.unloadRevokedScripts(),
+          this.loadConsentedScripts(),
+          o.emit("ConsentApplied", this.userPreferences.getPreferences())
+      },
+        e.prototype.loadConsentedScripts = function () {
+          var e = this,
+            n = this
+              .userPreferences
+              .getPreferences();
+          this
+            .manifestHandler
+            .getCategories()
+            .filter((function (e) {
+              return !e.optional || n[e.name]
+            }))
+            .forEach((function (n) {
+              n
+                .scripts
+                .forEach((function (o) {
+                  return e._loadScript(n.name, o)
+                }))
+            }))
+        },
+        e.prototype._loadScript = function (n, t) {
+          var r = n + ":" + t.name;
+          if (!e._loadedScripts.has(r)) {
+            e._loadedScripts.add(r),
+              M.info("consent", "Loading '".concat(t.name, "' script for category: ").concat(n));
+            try {
+              t.init && t.init()
+            } catch (e) {
+              M.error("consent", "Init callback for '".concat(t.name, "' script failed"), e)
+            }
+            if (!t.src)
+              return void o.emit("ScriptLoaded", { category: n, name: t.name });
+            var i = document.createElement("script");
+            i.src = t.src,
+              i.async = !1 !== t.async,
+              i.setAttribute("data-cookie-category", n),
+              i.setAttribute("data-cookie-script", t.name),
+              i.addEventListener("load", (function () {
+                t.onLoad && t.onLoad(),
+                  o.emit("ScriptLoaded", { category: n, name: t.name })
+              })),
+              i.addEventListener("error", (function () {
+                M.error("consent", "Failed to load '".concat(t.name, "' script from ").concat(t.src)),
+                  e._loadedScripts.delete(r)
+              })),
+              document.head.appendChild(i)
+          }
+        },
+        e.prototype.unloadRevokedScripts = function () {
+          var e = this,
+            n = this
+              .userPreferences
+              .getPreferences(),
+            o = [];
+          this
             .manifestHandler
             .getCategories()
             .filter((function (e) {
-              var n;
-              return null === (n = e.optional) || void 0 === n || n
+              return e.optional && !n[e.name]
             }))
-            .forEach((function (o) {
-              n[o.name] = e.config.additionalOptions.defaultConsent,
-                t[o.name] = e.config.additionalOptions.defaultConsent
-                  ? "on"
-                  : "off"
+            .forEach((function (n) {
+              n
+                .scripts
+                .forEach((function (t) {
+                  var r = e._unloadScript(n.name, t);
+                  r && o.push(r)
+                }))
             })),
-            o.emit("UserPreferencesLoaded", t),
-            n
+            o.length && Promise
+              .all(o)
+              .then((function () {
+                M.debug("cookies", "Providers shut down, re-running cookie deletion"),
+                  e.cookieHandler.processCookies()
+              }))
+        },
+        e.prototype._unloadScript = function (n, t) {
+          var r,
+            i = n + ":" + t.name;
+          if (e._loadedScripts.has(i)) {
+            e._loadedScripts.delete(i),
+              M.info("consent", "Unloading '".concat(t.name, "' script for category: ").concat(n));
+            try {
+              r = t.teardown && t.teardown()
+            } catch (e) {
+              M.error("consent", "Teardown callback for '".concat(t.name, "' script failed"), e)
+            }
+            return Array
+              .prototype
+              .forEach
+              .call(document.querySelectorAll('script[data-cookie-script="'.concat(t.name, '"]')), (function (e) {
+                e.parentNode.removeChild(e)
+              })),
+              o.emit("ScriptUnloaded", { category: n, name: t.name }),
+              Promise
+                .resolve(r)
+                .catch((function (e) {
+                  M.error("consent", "Teardown callback for '".concat(t.name, "' script failed"), e)
+                }))
+          }
+        },
+        e._loadedScripts = new Set,
+        e
+    }(),
+    k = function () {
+      function e(e) {
+        this.config = e
+      }
+      return e.prototype.send = function (n, t) {
+        var r = this,
+          i = this.config.consentReceipts.endpoint;
+        if (i) {
+          var s = {
+            consentId: n[y.CONSENT_ID],
+            categories: {},
+            policyVersion: n[y.VERSION],
+            timestamp: n[y.TIMESTAMP],
+            source: t || "unknown"
+          };
+          Object
+            .keys(n)
+            .filter((function (e) {
+              return 0 !== e.indexOf("__")
+            }))
+            .forEach((function (e) {
+              s.categories[e] = n[e]
+            })),
+            window.fipsHttp.post(i, s, {
+              keepalive: !0
+            })
+              .then((function () {
+                M.info("consent", "Consent receipt sent")
+              }))
+              .catch((function (e) {
+                M.debug("consent", "Unable to send consent receipt, queueing for retry: " + e.message),
+                  r._enqueue(s)
+              }))
+        }
+      },
+        e.prototype.retryQueued = function () {
+          var e = this.config.consentReceipts.endpoint,
+            n = this._readQueue();
+          if (e && n.length) {
+            if ("function" != typeof navigator.sendBeacon)
+              return void M.debug("consent", "navigator.sendBeacon is not available, keeping queued consent receipts");
+            var o = n.filter((function (n) {
+              return !navigator.sendBeacon(e, new Blob([JSON.stringify(n)], {
+                type: "application/json"
+              }))
+            }));
+            M.debug("consent", "Retried ".concat(n.length - o.length, " queued consent receipt(s)")),
+              this._writeQueue(o)
+          }
+        },
+        e.prototype._enqueue = function (e) {
+          var n = this
+            ._readQueue()
+            .concat([e]);
+          this._writeQueue(n.slice(-this.config.consentReceipts.maxQueueLength))
+        },
+        e.prototype._readQueue = function () {
+          try {
+            var e = JSON.parse(localStorage.getItem(this.config.consentReceipts.queueKey) || "[]");
+            return Array.isArray(e)
+              ? e
+              : []
+          } catch (e) {
+            return []
+          }
+        },
+        e.prototype._writeQueue = function (e) {
+          try {
+            e.length
+              ? localStorage.setItem(this.config.consentReceipts.queueKey, JSON.stringify(e))
+              : localStorage.removeItem(this.config.consentReceipts.queueKey)
+          } catch (e) {
+            M.error("consent", "Unable to store queued consent receipts", e)
+          }
+        },
+        e.generateConsentId = function () {
+          return window.crypto && "function" == typeof window.crypto.randomUUID
+            ? window.crypto.randomUUID()
+            : "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, (function (e) {
+              var n = 16 * Math.random() | 0;
+              return ("x" === e
+                ? n
+                : 3 & n | 8).toString(16)
+            }))
+        },
+        e
+    }(),
+    C = function () {
+      function e(e, n, o, t) {
+        this.config = e,
+          this.userPreferences = n,
+          this.cookieHandler = o,
+          this.scriptLoader = t
+      }
+      return e.prototype.init = function () {
+        var e = this,
+          n = this.config.tabSync.channelName;
+        "undefined" != typeof BroadcastChannel
+          ? (this.channel = new BroadcastChannel(n), this.channel.onmessage = function () {
+            return e._receive()
+          })
+          : window.addEventListener("storage", (function (o) {
+            o.key === n && null !== o.newValue && e._receive()
+          })),
+          o.on("UserPreferencesSaved", (function () {
+            return e._broadcast()
+          }))
+      },
+        e.prototype._broadcast = function () {
+          var e = this.config.tabSync.channelName;
+          if (M.debug("consent", "Broadcasting saved preferences to other tabs"), this.channel)
+            return void this.channel.postMessage(Date.now());
+          try {
+            localStorage.setItem(e, String(Date.now())),
+              localStorage.removeItem(e)
+          } catch (e) {
+            M.error("consent", "Unable to broadcast preferences to other tabs", e)
+          }
+        },
+        e.prototype._receive = function () {
+          M.info("consent", "Preferences changed in another tab, reloading preferences"),
+            this
+              .userPreferences
+              .processPreferences();
+          var e = document.getElementsByClassName(this.config.cookieBanner.class)[0];
+          e && (e.hidden = !0),
+            this
+              .cookieHandler
+              .processCookies(),
+            this
+              .scriptLoader
+              .applyConsent(),
+            o.emit("PreferencesSyncedFromOtherTab", this.userPreferences.getPreferences())
         },
         e
     }(),
@@ -373,19 +789,20 @@ window.dataLayer = window.dataLayer || [];
         : "Symbol.iterator is not defined.")
   }
   var a = function () {
-    function e(e, n, o) {
+    function e(e, n, o, t) {
       this.config = e,
         this.userPreferencesHandler = n,
-        this.cookieHandler = o
+        this.cookieHandler = o,
+        this.scriptLoader = t
     }
     return e.prototype.init = function () {
       var e = this;
       if (!this.userPreferencesHandler.getPreferenceCookie())
         return "loading" === document.readyState
-          ? (console.debug("DOM is not ready; adding event to bind to banner when ready."), void document.addEventListener("DOMContentLoaded", (function () {
+          ? (M.debug("cookies", "DOM is not ready; adding event to bind to banner when ready."), void document.addEventListener("DOMContentLoaded", (function () {
             return e.init()
           })))
-          : void (this._getBannerNode() && (document.getElementsByClassName(this.config.preferencesForm.class)[0] && !this.config.cookieBanner.showWithPreferencesForm || (this._setupEventListeners(), this._getBannerNode().hidden = !1, o.emit("CookieBannerInitialized"))))
+          : void (this._getBannerNode() && (document.getElementsByClassName(this.config.preferencesForm.class)[0] && !this.config.cookieBanner.showWithPreferencesForm || (this._setupEventListeners(), this._showPrivacySignalMessage(), this._getBannerNode().hidden = !1, o.emit("CookieBannerInitialized"))))
     },
       e.prototype._setupEventListeners = function () {
         var e = this;
@@ -461,10 +878,22 @@ window.dataLayer = window.dataLayer || [];
           .setPreferences(e),
           this
             .userPreferencesHandler
-            .savePreferencesToCookie(),
+            .savePreferencesToCookie("banner"),
           this
             .cookieHandler
-            .processCookies()
+            .processCookies(),
+          this
+            .scriptLoader
+            .applyConsent()
+      },
+      e.prototype._showPrivacySignalMessage = function () {
+        var e = this.config.cookieBanner.privacySignalClass;
+        e && this.userPreferencesHandler.privacySignal && Array
+          .prototype
+          .forEach
+          .call(this._getBannerNode().querySelectorAll("." + e), (function (e) {
+            e.hidden = !1
+          }))
       },
       e.prototype._getBannerNode = function () {
         return document.querySelector("." + this.config.cookieBanner.class)
@@ -472,15 +901,16 @@ window.dataLayer = window.dataLayer || [];
       e
   }(),
     c = function () {
-      function e(e, n, o) {
+      function e(e, n, o, t) {
         this.config = e,
           this.userPreferencesHandler = n,
-          this.cookieHandler = o
+          this.cookieHandler = o,
+          this.scriptLoader = t
       }
       return e.prototype.init = function () {
         var e = this;
         if ("loading" === document.readyState)
-          return console.debug("DOM is not ready; adding event to bind to preference form when ready."),
+          return M.debug("cookies", "DOM is not ready; adding event to bind to preference form when ready."),
             void document.addEventListener("DOMContentLoaded", (function () {
               return e.init()
             }));
@@ -503,7 +933,7 @@ window.dataLayer = window.dataLayer || [];
           e.preventDefault();
           var r = {};
           try {
-            for (var i = s(e.target.querySelectorAll('input[type="radio"]:checked')), a = i.next(); !a.done; a = i.next()) {
+            for (var i = s(e.target.querySelectorAll('input[type="radio"]:checked:not(:disabled)')), a = i.next(); !a.done; a = i.next()) {
               var c = a.value,
                 f = c.getAttribute("name"),
                 u = c.getAttribute("value");
@@ -530,10 +960,13 @@ window.dataLayer = window.dataLayer || [];
             .setPreferences(e),
             this
               .userPreferencesHandler
-              .savePreferencesToCookie(),
+              .savePreferencesToCookie("preferences-form"),
             this
               .cookieHandler
-              .processCookies()
+              .processCookies(),
+            this
+              .scriptLoader
+              .applyConsent()
         },
         e.prototype._configureFormRadios = function () {
           var e = this
@@ -551,6 +984,72 @@ window.dataLayer = window.dataLayer || [];
         },
         e
     }(),
+    x = function () {
+      function e(e, n) {
+        this.config = e,
+          this.manifestHandler = n
+      }
+      return e.prototype.init = function () {
+        var e = this;
+        if ("loading" === document.readyState)
+          return M.debug("cookies", "DOM is not ready; adding event to render cookie tables when ready."),
+            void document.addEventListener("DOMContentLoaded", (function () {
+              return e.init()
+            }));
+        var n = document.getElementsByClassName(this.config.cookieTables.class);
+        n.length && (Array.prototype.slice.call(n).forEach((function (n) {
+          return e._renderTable(n)
+        })), o.emit("CookieTablesRendered"))
+      },
+        e.prototype._renderTable = function (e) {
+          var n = e.getAttribute("data-cookie-category"),
+            o = this
+              .manifestHandler
+              .getCategories()
+              .filter((function (e) {
+                return e.name === n
+              }))[0];
+          if (!o)
+            return void M.error("cookies", "No cookie manifest category named '".concat(n, "' to render"));
+          var t = document.createElement("table"),
+            s = document.createElement("thead"),
+            r = document.createElement("tbody"),
+            i = function (e, n, o) {
+              var t = document.createElement(n);
+              return t.className = "govuk-table__".concat("th" === n ? "header" : "cell"),
+                "th" === n && (t.scope = "col"),
+                t.textContent = o,
+                e.appendChild(t)
+            },
+            a = function () {
+              var e = document.createElement("tr");
+              return e.className = "govuk-table__row",
+                e
+            },
+            c = a();
+          t.className = "govuk-table",
+            s.className = "govuk-table__head",
+            r.className = "govuk-table__body",
+            ["Name", "Purpose", "Provider", "Expires"].forEach((function (e) {
+              return i(c, "th", e)
+            })),
+            s.appendChild(c),
+            t.appendChild(s),
+            o
+              .descriptions
+              .forEach((function (e) {
+                var n = a();
+                [e.name, e.purpose, e.provider, e.expiry].forEach((function (e) {
+                  return i(n, "td", e)
+                })),
+                  r.appendChild(n)
+              })),
+            t.appendChild(r),
+            e.innerHTML = "",
+            e.appendChild(t)
+        },
+        e
+    }(),
     f = function (e) {
       return "string" == typeof e && "" !== e.trim()
     },
@@ -563,6 +1062,17 @@ window.dataLayer = window.dataLayer || [];
     d = function (e) {
       return void 0 === e
     },
+    m = function (e) {
+      return "function" == typeof e
+    },
+    b = function (e) {
+      return "string" == typeof e
+        ? e
+        : e.match || e.name
+    },
+    j = function (e) {
+      return f(e) || "object" == typeof e && null !== e && f(e.name) && (d(e.match) || f(e.match)) && f(e.purpose) && f(e.provider) && f(e.expiry)
+    },
     p = function (e, n) {
       return function (e) {
         return Array.isArray(e) && e.length
@@ -576,14 +1086,56 @@ window.dataLayer = window.dataLayer || [];
           userPreferences: {
             cookieName: f,
             cookieExpiry: l,
-            cookieSecure: u
+            cookieSecure: u,
+            sameSite: {
+              OR: [
+                d,
+                function (e) {
+                  return -1 !== ["Strict", "Lax", "None"].indexOf(e)
+                }
+              ]
+            },
+            domain: {
+              OR: [d, f]
+            },
+            prefix: {
+              OR: [
+                d,
+                function (e) {
+                  return -1 !== ["__Host-", "__Secure-"].indexOf(e)
+                }
+              ]
+            },
+            partitioned: {
+              OR: [d, u]
+            },
+            policyVersion: function (e) {
+              return l(e) && e >= 1
+            },
+            maxConsentAge: {
+              OR: [
+                d,
+                function (e) {
+                  return l(e) && e > 0
+                }
+              ]
+            }
           },
           preferencesForm: {
+            class: f,
+            url: {
+              OR: [d, f]
+            }
+          },
+          cookieTables: {
             class: f
           },
           cookieBanner: {
             class: f,
             showWithPreferencesForm: u,
+            privacySignalClass: {
+              OR: [d, f]
+            },
             actions: {
               name: f,
               buttonClass: f,
@@ -601,11 +1153,26 @@ window.dataLayer = window.dataLayer || [];
               }
             }
           },
+          tabSync: {
+            channelName: f
+          },
+          consentReceipts: {
+            endpoint: {
+              OR: [d, f]
+            },
+            queueKey: f,
+            maxQueueLength: function (e) {
+              return l(e) && e > 0
+            }
+          },
           additionalOptions: {
             disableCookieBanner: u,
             disableCookiePreferencesForm: u,
             deleteUndefinedCookies: u,
-            defaultConsent: u
+            defaultConsent: u,
+            respectBrowserPrivacySignals: u,
+            disableTabSync: u,
+            debug: u
           },
           cookieManifest: {
             categoryName: f,
@@ -616,12 +1183,30 @@ window.dataLayer = window.dataLayer || [];
               OR: [
                 d,
                 function (e) {
-                  return f(e) && -1 !== ["exact", "startsWith", "includes"].indexOf(e)
+                  return f(e) && -1 !== ["exact", "startsWith", "includes", "regex"].indexOf(e)
                 }
               ]
             },
             cookies: function (e) {
-              return p(e, f)
+              return p(e, j)
+            },
+            storageKeys: {
+              OR: [
+                d,
+                function (e) {
+                  return p(e, j)
+                }
+              ]
+            },
+            scripts: {
+              OR: [
+                d,
+                function (e) {
+                  return p(e, (function (e) {
+                    return "object" == typeof e && null !== e && f(e.name) && (d(e.src) || f(e.src)) && (d(e.async) || u(e.async)) && (d(e.init) || m(e.init)) && (d(e.onLoad) || m(e.onLoad)) && (d(e.teardown) || m(e.teardown))
+                  }))
+                }
+              ]
             }
           }
         }
@@ -644,13 +1229,32 @@ window.dataLayer = window.dataLayer || [];
         e.prototype.validateUserPreferencesConfig = function (e) {
           for (var n in this.configTypes.userPreferences)
             if (!this.typeOfTester(e[n], this.configTypes.userPreferences[n]))
-              throw new g(n)
+              throw new g(n);
+          if ((e.prefix || e.partitioned || "None" === e.sameSite) && !e.cookieSecure)
+            throw new g("cookieSecure");
+          if ("__Host-" === e.prefix && e.domain)
+            throw new g("domain")
         },
         e.prototype.validateAdditionalOptionsConfig = function (e) {
           for (var n in this.configTypes.additionalOptions)
             if (!this.typeOfTester(e[n], this.configTypes.additionalOptions[n]))
               throw new g(n)
         },
+        e.prototype.validateConsentReceiptsConfig = function (e) {
+          for (var n in this.configTypes.consentReceipts)
+            if (!this.typeOfTester(e[n], this.configTypes.consentReceipts[n]))
+              throw new g(n)
+        },
+        e.prototype.validateCookieTablesConfig = function (e) {
+          for (var n in this.configTypes.cookieTables)
+            if (!this.typeOfTester(e[n], this.configTypes.cookieTables[n]))
+              throw new g(n)
+        },
+        e.prototype.validateTabSyncConfig = function (e) {
+          for (var n in this.configTypes.tabSync)
+            if (!this.typeOfTester(e[n], this.configTypes.tabSync[n]))
+              throw new g(n)
+        },
         e.prototype.validatePreferencesFormConfig = function (e) {
           for (var n in this.configTypes.preferencesForm)
             if (!this.typeOfTester(e[n], this.configTypes.preferencesForm[n]))
@@ -693,13 +1297,25 @@ window.dataLayer = window.dataLayer || [];
           e.forEach((function (e) {
             for (var o in n.configTypes.cookieManifest)
               if (!n.typeOfTester(e[o], n.configTypes.cookieManifest[o]))
-                throw new g(o)
+                throw new g(o);
+            "regex" === e.matchBy && ["cookies", "storageKeys"].forEach((function (n) {
+              (e[n] || []).map(b).forEach((function (e) {
+                try {
+                  new RegExp(e)
+                } catch (e) {
+                  throw new g(n)
+                }
+              }))
+            }))
           }))
         },
         e.prototype.validateConfig = function (e) {
           this.validateUserPreferencesConfig(e.userPreferences),
             this.validateAdditionalOptionsConfig(e.additionalOptions),
+            this.validateConsentReceiptsConfig(e.consentReceipts),
+            this.validateTabSyncConfig(e.tabSync),
             this.validatePreferencesFormConfig(e.preferencesForm),
+            this.validateCookieTablesConfig(e.cookieTables),
             this.validateCookieBannerConfig(e.cookieBanner),
             this.validateCookieManifestConfig(e.cookieManifest)
         },
@@ -709,7 +1325,7 @@ window.dataLayer = window.dataLayer || [];
           return Object
             .keys(n)
             .length && (
-              t.userPreferences = i(i({}, e.defaultConfig.userPreferences), n.userPreferences), t.additionalOptions = i(i({}, e.defaultConfig.additionalOptions), n.additionalOptions), t.preferencesForm = i(i({}, e.defaultConfig.preferencesForm), n.preferencesForm), t.cookieBanner = i(i({}, e.defaultConfig.cookieBanner), n.cookieBanner), t.cookieManifest = null !== (o = n.cookieManifest) && void 0 !== o
+              t.userPreferences = i(i({}, e.defaultConfig.userPreferences), n.userPreferences), t.additionalOptions = i(i({}, e.defaultConfig.additionalOptions), n.additionalOptions), t.consentReceipts = i(i({}, e.defaultConfig.consentReceipts), n.consentReceipts), t.tabSync = i(i({}, e.defaultConfig.tabSync), n.tabSync), t.preferencesForm = i(i({}, e.defaultConfig.preferencesForm), n.preferencesForm), t.cookieTables = i(i({}, e.defaultConfig.cookieTables), n.cookieTables), t.cookieBanner = i(i({}, e.defaultConfig.cookieBanner), n.cookieBanner), t.cookieManifest = null !== (o = n.cookieManifest) && void 0 !== o
                 ? o
                 : e.defaultConfig.cookieManifest,
               this.validateConfig(t)),
@@ -719,11 +1335,15 @@ window.dataLayer = window.dataLayer || [];
           userPreferences: {
             cookieName: "cookie-preferences",
             cookieExpiry: 365,
-            cookieSecure: !1
+            cookieSecure: !1,
+            policyVersion: 1
           },
           preferencesForm: {
             class: "cookie-preferences-form"
           },
+          cookieTables: {
+            class: "cookie-table"
+          },
           cookieBanner: {
             class: "cookie-banner",
             showWithPreferencesForm: !1,
@@ -745,11 +1365,22 @@ window.dataLayer = window.dataLayer || [];
             ]
           },
           cookieManifest: [],
+          consentReceipts: {
+            endpoint: void 0,
+            queueKey: "cookie-consent-receipts",
+            maxQueueLength: 20
+          },
+          tabSync: {
+            channelName: "cookie-preferences-sync"
+          },
           additionalOptions: {
             disableCookieBanner: !1,
             disableCookiePreferencesForm: !1,
             deleteUndefinedCookies: !0,
-            defaultConsent: !1
+            defaultConsent: !1,
+            respectBrowserPrivacySignals: !1,
+            disableTabSync: !1,
+            debug: !1
           }
         },
         e
@@ -773,135 +1404,143 @@ window.dataLayer = window.dataLayer || [];
       }(n, e),
         n
     }(Error);
+  var q = {},
+    _ = function () {
+      return new Promise((function (e) {
+        o.once("CookieManagerLoaded", (function () {
+          return e()
+        }), { replay: !0 })
+      }))
+    },
+    z = function (e) {
+      if (!q.userPreferences)
+        return !1;
+      var n = q
+        .manifestHandler
+        .getCategories()
+        .filter((function (n) {
+          return n.name === e
+        }))[0];
+      return !!n && (!n.optional || !!q.userPreferences.getPreferences()[e])
+    };
   return {
     on: o.on,
+    once: o.once,
     off: o.off,
+    ready: _,
+    hasConsent: z,
+    hasPreferences: function () {
+      return !!q.userPreferences && !!q.userPreferences.getPreferenceCookie()
+    },
+    whenConsented: function (e) {
+      return _().then((function () {
+        return new Promise((function (n) {
+          if (z(e))
+            return n();
+          var t = o.on("UserPreferencesSet", (function () {
+            z(e) && (o.off(t), n())
+          }))
+        }))
+      }))
+    },
+    getPreferences: function () {
+      return q.userPreferences
+        ? i({}, q.userPreferences.getPreferences())
+        : {}
+    },
+    openPreferences: function () {
+      if (!q.config)
+        return void M.error("cookies", "CookieManager has not been initialised");
+      var e = document.getElementsByClassName(q.config.preferencesForm.class)[0];
+      if (e) {
+        var n = e.querySelector("input:not(:disabled)");
+        return e.scrollIntoView(),
+          void (n && n.focus())
+      }
+      q.config.preferencesForm.url
+        ? window.location.assign(q.config.preferencesForm.url)
+        : M.error("cookies", "No preferences form on this page and no preferencesForm.url configured")
+    },
     init: function (r) {
       var i;
-      console.debug("CookieManager initializing...");
+      M.debug("cookies", "CookieManager initializing...");
       try {
         i = (new h).mergeConfigurations(r)
       } catch (e) {
-        return console.error(e),
-          void console.error("Invalid config supplied to CookieManager, disabling...")
+        return void M.error("cookies", "Invalid config supplied to CookieManager, disabling...", e)
       }
       var s = new e(i),
-        f = new t(i, s),
-        u = new n(i, s, f);
-      f.processPreferences(),
-        i.additionalOptions.disableCookieBanner || new a(i, f, u).init(),
-        i.additionalOptions.disableCookiePreferencesForm || new c(i, f, u).init(),
+        w = new k(i),
+        f = new t(i, s, w),
+        u = new n(i, s, f),
+        l = new v(i, s, f, u);
+      i.additionalOptions.disableTabSync || new C(i, f, u, l).init(),
+        q.config = i,
+        q.manifestHandler = s,
+        q.userPreferences = f,
+        f.processPreferences(),
+        i.additionalOptions.disableCookieBanner || new a(i, f, u, l).init(),
+        i.additionalOptions.disableCookiePreferencesForm || new c(i, f, u, l).init(),
+        new x(i, s).init(),
         o.emit("CookieManagerLoaded"),
-        u.processCookies()
+        i.additionalOptions.debug && u.reportUnCategorized(),
+        u.processCookies(),
+        l.applyConsent(),
+        w.retryQueued()
     }
   }
 }));
 
-const getCookieValue = (name) => (
-  document.cookie.match('(^|;)\\s*' + name + '\\s*=\\s*([^;]+)')
-    ?.pop() || '')
-
-// Send analytics
-function sendAnalytics() {
-  console.log('Loading analytics scripts...');
-  console.log('Microsoft Clarity ID:', cID);
-  
-  // Load Microsoft Clarity script if not already loaded
-  if (!window.clarity) {
-    console.log('Attempting to load Microsoft Clarity...');
-    
-    // Initialize Clarity function before loading script
-    window.clarity = function() {
-      (window.clarity.q = window.clarity.q || []).push(arguments);
-    };
-    
-    // Load Microsoft Clarity script externally to avoid CSP issues
-    const clarityScript = document.createElement('script');
-    clarityScript.type = 'text/javascript';
-    clarityScript.async = true;
-    clarityScript.src = `https://www.clarity.ms/tag/${cID}`;
-    
-    clarityScript.onload = function() {
-      console.log('Microsoft Clarity script loaded successfully');
-    };
-    
-    clarityScript.onerror = function() {
-      console.error('Failed to load Microsoft Clarity script');
-    };
-    
-    document.head.appendChild(clarityScript);
-    console.log('Microsoft Clarity script loading...');
-    
-    // Check if Clarity loaded successfully after a short delay
-    setTimeout(() => {
-      console.log('Checking if Clarity loaded...');
-      console.log('window.clarity exists:', !!window.clarity);
-      console.log('window.clarity type:', typeof window.clarity);
-      
-      if (window.clarity && typeof window.clarity === 'function') {
-        console.log('Microsoft Clarity loaded successfully with ID:', cID);
-        // Try to call clarity to test if it's working
-        try {
-          window.clarity('identify', 'test-user');
-          console.log('Clarity identify call succeeded');
-        } catch (e) {
-          console.log('Clarity identify call failed:', e);
-        }
-      } else {
-        console.error('Microsoft Clarity failed to load - window.clarity is not defined');
-      }
-    }, 3000);
-  } else {
-    console.log('Microsoft Clarity already loaded');
-  }
+// Update GTM consent mode; commands must be pushed as an arguments object, as gtag() does
+function updateGtmConsent(analyticsStorage) {
+  (function () {
+    window.dataLayer.push(arguments);
+  })('consent', 'update', { analytics_storage: analyticsStorage });
 }
 
-// Make sendAnalytics globally available for server-side triggering
-window.sendAnalytics = sendAnalytics;
+// Enable or disable Application Insights cookies (ai_user, ai_session)
+function setAppInsightsCookies(enabled) {
+  const appInsights = window.appInsights;
+  if (!appInsights) {
+    return;
+  }
 
-// Manual test function for Clarity
-window.testClarity = function() {
-  console.log('=== Clarity Test ===');
-  console.log('Clarity ID:', cID);
-  console.log('window.clarity exists:', !!window.clarity);
-  console.log('window.clarity type:', typeof window.clarity);
-  
-  if (window.clarity) {
-    console.log('Clarity is loaded, testing function...');
-    try {
-      window.clarity('identify', 'manual-test-user');
-      console.log('Clarity identify call succeeded');
-    } catch (e) {
-      console.log('Clarity identify call failed:', e);
-    }
-  } else {
-    console.log('Clarity not loaded, attempting to load...');
-    sendAnalytics();
+  if (typeof appInsights.getCookieMgr === 'function') {
+    appInsights.getCookieMgr().setEnabled(enabled);
+  } else if (appInsights.config) {
+    appInsights.config.isCookieUseDisabled = !enabled;
   }
-  
-  // Check for Clarity script in DOM
-  const clarityScripts = document.querySelectorAll('script[src*="clarity.ms"]');
-  console.log('Clarity scripts found in DOM:', clarityScripts.length);
-  clarityScripts.forEach((script, index) => {
-    console.log(`Script ${index}:`, script.src);
-  });
-  
-  console.log('=== End Clarity Test ===');
-};
+}
 
 // Cookie manager
 var config = {
   userPreferences: {
     cookieName: 'cookie-preferences',
     cookieExpiry: 365,
-    cookieSecure: false
+    // Written with the same attributes as CookiesController, so either side can replace or delete it.
+    // No domain, so the cookie stays with this host rather than every *.education.gov.uk service.
+    cookieSecure: true,
+    sameSite: 'Strict',
+    // Increase when the cookies or vendors in a category change, so users are asked again.
+    // Keep in step with CookiePolicy:Version in appsettings.
+    policyVersion: 1,
+    // Days before consent has to be given again
+    maxConsentAge: 365
   },
   preferencesForm: {
-    class: 'cookie-preferences-form'
+    class: 'cookie-preferences-form',
+    // Where cookieManager.openPreferences() goes on pages without the form
+    url: '/cookies'
+  },
+  // Placeholders filled with a table of the cookies in their data-cookie-category
+  cookieTables: {
+    class: 'js-cookie-table'
   },
   cookieBanner: {
     class: 'js-cookie-banner',
     showWithPreferencesForm: false,
+    // Shown in the banner when Global Privacy Control or Do Not Track turned analytics off
+    privacySignalClass: 'js-cookie-banner-privacy-signal',
     actions: [
       {
         name: 'accept',
@@ -919,18 +1558,111 @@ var config = {
       }
     ]
   },
+  // Proof of each consent decision for data protection audits
+  consentReceipts: {
+    endpoint: '/Cookies/ConsentReceipt'
+  },
+  // Entries are either a pattern, or a description shown in the cookie tables
+  // ({ name, match, purpose, provider, expiry }, where match defaults to name)
   cookieManifest: [
+    {
+      categoryName: 'essential',
+      optional: false,
+      matchBy: 'regex',
+      cookies: [
+        { name: 'FIPS.Session', match: '^FIPS\\.Session$', purpose: 'Stores your session information', provider: 'FIPS', expiry: '20 minutes' },
+        { name: 'cookie-preferences', match: '^cookie-preferences$', purpose: 'Remembers your cookie preferences', provider: 'FIPS', expiry: '1 year' },
+        { name: '.AspNetCore.Antiforgery.*', match: '^\\.AspNetCore\\.Antiforgery\\.', purpose: 'Protects forms you submit from cross-site request forgery', provider: 'FIPS', expiry: 'When you close your browser' }
+      ],
+      storageKeys: [
+        { name: 'fips-search-session', match: '^fips-search-session$', purpose: 'Connects your searches and the results you choose, so we can improve search', provider: 'FIPS', expiry: 'When you close your browser' },
+        { name: 'fips-error-session', match: '^fips-error-session$', purpose: 'Keeps a short record of recent actions to help us fix errors, and stops the same error being reported twice', provider: 'FIPS', expiry: 'When you close your browser' },
+        { name: 'fips-debug', match: '^fips-debug$', purpose: 'Shows the analytics debug panel to our testers, once they have turned it on', provider: 'FIPS', expiry: 'When you close your browser' },
+        { name: 'fips-feedback-drafts', match: '^fips-feedback-drafts$', purpose: 'Keeps feedback you have started writing on each page until you send it', provider: 'FIPS', expiry: 'When you close your browser' },
+        { name: 'fips-feedback-queue', match: '^fips-feedback-queue$', purpose: 'Keeps feedback that could not be sent, so it can be sent when your connection is back', provider: 'FIPS', expiry: 'Until the feedback has been sent' },
+        { name: 'fips-shortlist', match: '^fips-shortlist$', purpose: 'Remembers the products you have added to your shortlist to compare', provider: 'FIPS', expiry: 'Until you remove the products' }
+      ]
+    },
     {
       categoryName: 'analytics',
       optional: true,
-      cookies: ['analytics', '_ga', '_gid', '_clsk', '_clck']
+      // Patterns are regular expressions, so vendor names with random suffixes (such as _ga_<container-id>) are covered
+      matchBy: 'regex',
+      cookies: [
+        '^analytics$',
+        { name: '_ga', match: '^_ga$', purpose: 'Distinguishes users', provider: 'Google Analytics', expiry: '2 years' },
+        { name: '_ga_*', match: '^_ga_.+$', purpose: 'Stores session state', provider: 'Google Analytics', expiry: '2 years' },
+        { name: '_gid', match: '^_gid$', purpose: 'Distinguishes users', provider: 'Google Analytics', expiry: '24 hours' },
+        { name: '_clck', match: '^_clck$', purpose: 'Distinguishes users', provider: 'Microsoft Clarity', expiry: '1 year' },
+        { name: '_clsk', match: '^_clsk$', purpose: 'Connects page views in a session', provider: 'Microsoft Clarity', expiry: '1 day' },
+        { name: 'ai_user', match: '^ai_user$', purpose: 'Distinguishes users', provider: 'Microsoft Application Insights', expiry: '1 year' },
+        { name: 'ai_session', match: '^ai_session$', purpose: 'Connects page views in a session', provider: 'Microsoft Application Insights', expiry: '24 hours' }
+      ],
+      // localStorage and sessionStorage keys written by Clarity and Application Insights
+      storageKeys: [
+        '^_clsk$',
+        '^_clck$',
+        '^clarityID$',
+        { name: '_cltk', match: '^_cltk$', purpose: 'Connects page views across tabs', provider: 'Microsoft Clarity', expiry: 'When you close your browser' },
+        { name: 'AI_buffer', match: '^AI_(sent)?[Bb]uffer', purpose: 'Holds usage data until it has been sent', provider: 'Microsoft Application Insights', expiry: 'When you close your browser' }
+      ],
+      // Scripts loaded by the cookie manager once this category is consented to,
+      // and torn down again if consent is withdrawn
+      scripts: [
+        {
+          // Google Tag Manager is loaded in the layout with consent mode defaulting to denied
+          name: 'gtm-consent',
+          init: function () {
+            updateGtmConsent('granted');
+          },
+          teardown: function () {
+            updateGtmConsent('denied');
+          }
+        },
+        {
+          // Application Insights is loaded in the layout with cookies disabled until consent is given
+          name: 'app-insights',
+          init: function () {
+            setAppInsightsCookies(true);
+          },
+          teardown: function () {
+            setAppInsightsCookies(false);
+          }
+        },
+        {
+          name: 'clarity',
+          src: `https://www.clarity.ms/tag/${cID}`,
+          // Queue calls made before the Clarity script has loaded
+          init: function () {
+            window.clarity = window.clarity || function () {
+              (window.clarity.q = window.clarity.q || []).push(arguments);
+            };
+          },
+          onLoad: function () {
+            window.fipsLog.info('analytics', 'Microsoft Clarity script loaded');
+          },
+          // Revoke consent so Clarity erases its cookies, then stop recording
+          teardown: function () {
+            if (typeof window.clarity === 'function') {
+              window.clarity('consent', false);
+              window.clarity('stop');
+            }
+            document.querySelectorAll('script[src*="clarity.ms"]').forEach((script) => script.remove());
+            delete window.clarity;
+          }
+        }
+      ]
     }
   ],
   additionalOptions: {
     defaultConsent: false,
+    // Optional categories start off when Global Privacy Control or Do Not Track is set
+    respectBrowserPrivacySignals: true,
     deleteUndefinedCookies: false,
     disableCookieBanner: false,
-    disableCookiePreferencesForm: false
+    disableCookiePreferencesForm: false,
+    // In debug mode (?fips-debug=1, see logger.js), list cookies and storage keys missing from the manifest
+    debug: window.fipsLog.isDebugEnabled()
   }
 }
 
@@ -946,44 +1678,11 @@ const reloadCallback = function (eventData) {
 
 };
 
-// Callback to trigger sending analytics if the analytics preference has been accepted in the cookie banner
-const triggerAnalyticsCallback = function (eventData) {
-  console.log('Cookie banner action:', eventData);
-  if (eventData === 'accept') {
-    console.log('User accepted analytics cookies, loading scripts...');
-    sendAnalytics();
-  }
-};
-
 // Initialise the cookie manager
 window
   .cookieManager
   .on('PreferenceFormSubmitted', reloadCallback);
-window
-  .cookieManager
-  .on('CookieBannerAction', triggerAnalyticsCallback);
 window
   .cookieManager
   .init(config);
 
-// Send analytics if the cookie is set
-try {
-  console.log('Checking for existing cookie preferences...');
-  const cookieValue = getCookieValue('cookie-preferences');
-  console.log('Cookie value:', cookieValue);
-  
-  if (cookieValue) {
-    const result = (JSON.parse(cookieValue).analytics == 'on');
-    console.log('Analytics preference:', result);
-    
-    // Cookie has been set and analytics accepted
-    if (result == true) {
-      console.log('Analytics already accepted, loading scripts...');
-      sendAnalytics();
-    }
-  } else {
-    console.log('No cookie preferences found');
-  }
-} catch (err) {
-  console.log('Error checking cookie preferences:', err);
-}
\ No newline at end of file
@@ -0,0 +1,113 @@
+//
+// Analytics debug overlay
+//
+// In debug mode (?fips-debug=1, see logger.js), shows a panel at the bottom of every page that
+// lists analytics events, consent changes and cookie deletions as they happen, so testers can
+// check tracking without opening the browser's developer tools. Warnings and errors from any
+// other part of the site are listed too.
+//
+// Entries come from fipsLog, including those logged before this script ran.
+//
+(function () {
+    const CHANNELS = ['analytics', 'consent', 'cookies'];
+    const MAX_ITEMS = 200;
+
+    if (!window.fipsLog.isDebugEnabled()) {
+        return;
+    }
+
+    function isShown(entry) {
+        return entry.level === 'warn' || entry.level === 'error' ||
+            (entry.level === 'info' && CHANNELS.includes(entry.channel));
+    }
+
+    function formatData(data) {
+        if (data instanceof Error) {
+            return `${data.name}: ${data.message}`;
+        }
+
+        try {
+            return JSON.stringify(data, null, 2);
+        } catch (error) {
+            return String(data);
+        }
+    }
+
+    function createElement(tagName, className, text) {
+        const element = document.createElement(tagName);
+        element.className = className;
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+        return element;
+    }
+
+    function createPanel() {
+        const turnOffUrl = new URL(window.location.href);
+        turnOffUrl.searchParams.set('fips-debug', '0');
+
+        const panel = createElement('aside', 'fips-debug-overlay');
+        panel.setAttribute('aria-labelledby', 'fips-debug-overlay-heading');
+
+        const header = createElement('div', 'fips-debug-overlay__header');
+        const heading = createElement('h2', 'govuk-heading-s fips-debug-overlay__heading', 'Analytics debug');
+        heading.id = 'fips-debug-overlay-heading';
+
+        const toggle = createElement('button', 'govuk-button govuk-button--secondary fips-debug-overlay__button', 'Hide');
+        toggle.type = 'button';
+        toggle.setAttribute('aria-expanded', 'true');
+        toggle.setAttribute('aria-controls', 'fips-debug-overlay-log');
+
+        const clear = createElement('button', 'govuk-button govuk-button--secondary fips-debug-overlay__button', 'Clear');
+        clear.type = 'button';
+
+        const turnOff = createElement('a', 'govuk-link fips-debug-overlay__link', 'Turn off');
+        turnOff.href = turnOffUrl.toString();
+
+        const list = createElement('ol', 'fips-debug-overlay__log');
+        list.id = 'fips-debug-overlay-log';
+        list.setAttribute('role', 'log');
+
+        toggle.addEventListener('click', function () {
+            const expanded = toggle.getAttribute('aria-expanded') === 'true';
+            toggle.setAttribute('aria-expanded', String(!expanded));
+            toggle.textContent = expanded ? 'Show' : 'Hide';
+            list.hidden = expanded;
+        });
+
+        clear.addEventListener('click', function () {
+            list.replaceChildren();
+        });
+
+        header.append(heading, toggle, clear, turnOff);
+        panel.append(header, list);
+        document.body.appendChild(panel);
+
+        return list;
+    }
+
+    function addEntry(list, entry) {
+        const item = createElement('li', `fips-debug-overlay__entry fips-debug-overlay__entry--${entry.level}`);
+        const time = new Date(entry.timestamp).toLocaleTimeString();
+
+        item.appendChild(createElement('span', 'fips-debug-overlay__meta', `${time} ${entry.level} ${entry.channel}`));
+        item.appendChild(createElement('span', 'fips-debug-overlay__message', entry.message));
+        if (entry.data !== undefined) {
+            item.appendChild(createElement('pre', 'fips-debug-overlay__data', formatData(entry.data)));
+        }
+
+        list.appendChild(item);
+        while (list.children.length > MAX_ITEMS) {
+            list.removeChild(list.firstElementChild);
+        }
+        list.scrollTop = list.scrollHeight;
+    }
+
+    const list = createPanel();
+    window.fipsLog.getEntries().filter(isShown).forEach((entry) => addEntry(list, entry));
+    window.fipsLog.subscribe(function (entry) {
+        if (isShown(entry)) {
+            addEntry(list, entry);
+        }
+    });
+})();
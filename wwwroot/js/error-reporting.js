@@ -0,0 +1,283 @@
+//
+// Client error reporting
+//
+// Uncaught errors and unhandled promise rejections are reported with their stack and a trail of
+// the last 20 things the user did: clicks, form submits, fetch requests and navigations. Scripts
+// can report errors they have handled with fipsErrors.report(error).
+//
+// Each error is fingerprinted from its name, message and top stack frame. A fingerprint is only
+// reported once per browser session, and no more than 10 errors are reported per session.
+// Messages, stacks and breadcrumbs pass through fipsRedaction (redaction.js) before sending.
+//
+// Reports go to App Insights as exceptions when analytics cookies are accepted and the SDK has
+// loaded. Otherwise, including when the SDK is blocked, they are sent with navigator.sendBeacon
+// to /Home/ClientError and logged by the server.
+//
+// This script is loaded in the head so errors in every later script are caught; everything it
+// needs from other scripts is looked up once the page has loaded.
+//
+window.fipsErrors = (function () {
+    const STORAGE_KEY = 'fips-error-session';
+    const ENDPOINT = '/Home/ClientError';
+    const MAX_BREADCRUMBS = 20;
+    const MAX_REPORTS_PER_SESSION = 10;
+    const MAX_MESSAGE_LENGTH = 500;
+    const MAX_STACK_LENGTH = 4000;
+    const MAX_BREADCRUMB_LENGTH = 300;
+    const MAX_NAME_LENGTH = 100;
+    const MAX_PAGE_LENGTH = 2000;
+    const IGNORED_SOURCES = /(chrome|moz|safari(-web)?)-extension:\/\//;
+
+    const state = readState();
+
+    function readState() {
+        try {
+            const stored = JSON.parse(window.sessionStorage.getItem(STORAGE_KEY));
+            if (stored && Array.isArray(stored.breadcrumbs) && Array.isArray(stored.fingerprints)) {
+                return stored;
+            }
+        } catch (error) {
+            // Fall through to a new session
+        }
+        return { breadcrumbs: [], fingerprints: [] };
+    }
+
+    function saveState() {
+        try {
+            window.sessionStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+        } catch (error) {
+            // Storage can be full or blocked; breadcrumbs and limits then apply to this page only
+        }
+    }
+
+    function truncate(text, length) {
+        return text.length > length ? text.slice(0, length) : text;
+    }
+
+    function addBreadcrumb(type, message) {
+        state.breadcrumbs.push({
+            type: type,
+            message: truncate(String(message).replace(/\s+/g, ' ').trim(), MAX_BREADCRUMB_LENGTH),
+            timestamp: new Date().toISOString()
+        });
+        state.breadcrumbs = state.breadcrumbs.slice(-MAX_BREADCRUMBS);
+        saveState();
+    }
+
+    // e.g. a#product-link "Product name" [product_click]
+    function describeElement(element) {
+        let description = element.tagName.toLowerCase();
+        if (element.id) {
+            description += '#' + element.id;
+        }
+
+        const text = ['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName)
+            ? element.getAttribute('name') || element.getAttribute('type') || ''
+            : (element.textContent || '').replace(/\s+/g, ' ').trim();
+        if (text) {
+            description += ` "${truncate(text, 40)}"`;
+        }
+
+        if (element.dataset && element.dataset.trackEvent) {
+            description += ` [${element.dataset.trackEvent}]`;
+        }
+
+        return description;
+    }
+
+    function describeUrl(url) {
+        try {
+            const parsed = new URL(url, window.location.href);
+            return parsed.origin === window.location.origin ? parsed.pathname + parsed.search : parsed.origin + parsed.pathname;
+        } catch (error) {
+            return String(url);
+        }
+    }
+
+    document.addEventListener('click', function (e) {
+        if (e.target instanceof Element) {
+            const element = e.target.closest('a, button, input, select, textarea, summary, label, [role="button"], [data-track-event]') || e.target;
+            addBreadcrumb('click', describeElement(element));
+        }
+    }, true);
+
+    document.addEventListener('submit', function (e) {
+        if (e.target instanceof HTMLFormElement) {
+            addBreadcrumb('submit', `${describeElement(e.target).split(' ')[0]} ${(e.target.method || 'get').toUpperCase()} ${describeUrl(e.target.action)}`);
+        }
+    }, true);
+
+    if (typeof window.fetch === 'function') {
+        const originalFetch = window.fetch;
+        window.fetch = function (input, init) {
+            const request = input && typeof input === 'object' && 'url' in input ? input : null;
+            const url = describeUrl(request ? request.url : input);
+            const method = ((init && init.method) || (request && request.method) || 'GET').toUpperCase();
+            const started = Date.now();
+
+            return originalFetch.apply(this, arguments).then(function (response) {
+                addBreadcrumb('fetch', `${method} ${url} ${response.status} (${Date.now() - started} ms)`);
+                return response;
+            }, function (error) {
+                addBreadcrumb('fetch', `${method} ${url} failed (${Date.now() - started} ms)`);
+                throw error;
+            });
+        };
+    }
+
+    ['pushState', 'replaceState'].forEach(function (method) {
+        const original = window.history[method];
+        window.history[method] = function (data, unused, url) {
+            const result = original.apply(this, arguments);
+            if (url !== undefined && url !== null) {
+                addBreadcrumb('navigation', `${method} ${describeUrl(url)}`);
+            }
+            return result;
+        };
+    });
+
+    window.addEventListener('popstate', () => addBreadcrumb('navigation', `popstate ${describeUrl(window.location.href)}`));
+    window.addEventListener('hashchange', () => addBreadcrumb('navigation', `hashchange ${window.location.hash}`));
+    addBreadcrumb('navigation', `load ${describeUrl(window.location.href)}`);
+
+    function describeError(error) {
+        if (error instanceof Error || (error && typeof error === 'object' && 'message' in error)) {
+            return {
+                name: String(error.name || 'Error'),
+                message: String(error.message || ''),
+                stack: String(error.stack || '')
+            };
+        }
+
+        let message;
+        try {
+            message = typeof error === 'string' ? error : JSON.stringify(error);
+        } catch (stringifyError) {
+            message = String(error);
+        }
+        return { name: 'NonErrorValue', message: String(message), stack: '' };
+    }
+
+    function getTopFrame(stack) {
+        const frame = stack.split('\n').find((line) => /:\d+:\d+/.test(line));
+        return frame ? frame.trim().replace(/\?[^:)]*/, '') : '';
+    }
+
+    // Numbers are ignored so that errors differing only by an ID or count are grouped together
+    function getFingerprint(details) {
+        const source = [details.name, details.message.replace(/\d+/g, '0'), getTopFrame(details.stack)].join('|');
+        let hash = 5381;
+        for (let i = 0; i < source.length; i++) {
+            hash = ((hash << 5) + hash + source.charCodeAt(i)) | 0;
+        }
+        return (hash >>> 0).toString(16);
+    }
+
+    function whenLoaded(callback) {
+        if (document.readyState === 'complete') {
+            callback();
+        } else {
+            window.addEventListener('load', callback, { once: true });
+        }
+    }
+
+    // The snippet in the layout stands in for the SDK until it loads, so a stand-in that is
+    // still there after the page has loaded means the SDK was blocked
+    function canUseAppInsights() {
+        return window.appInsights && window.appInsights.context &&
+            window.cookieManager && window.cookieManager.hasConsent('analytics') &&
+            window.fipsAnalytics;
+    }
+
+    // Truncated after redacting, which can make text longer, so that nothing is over the limits
+    // in ClientErrorReportModel and the report is not rejected
+    function redactReport(details, breadcrumbs) {
+        const redacted = window.fipsRedaction.redact({
+            message: details.message,
+            stack: details.stack,
+            page: window.location.pathname + window.location.search,
+            breadcrumbs: breadcrumbs
+        }).value;
+
+        return {
+            message: truncate(redacted.message, MAX_MESSAGE_LENGTH),
+            stack: truncate(redacted.stack, MAX_STACK_LENGTH),
+            page: truncate(redacted.page, MAX_PAGE_LENGTH),
+            breadcrumbs: redacted.breadcrumbs.map((breadcrumb) => Object.assign({}, breadcrumb, {
+                message: truncate(breadcrumb.message, MAX_BREADCRUMB_LENGTH)
+            }))
+        };
+    }
+
+    function send(type, details, fingerprint, breadcrumbs) {
+        const redacted = redactReport(details, breadcrumbs);
+
+        if (canUseAppInsights()) {
+            const exception = new Error(redacted.message);
+            exception.name = details.name;
+            exception.stack = redacted.stack;
+
+            window.fipsAnalytics.trackException(exception, {
+                fingerprint: fingerprint,
+                error_type: type,
+                breadcrumbs: JSON.stringify(redacted.breadcrumbs)
+            });
+            return;
+        }
+
+        window.fipsHttp.beacon(ENDPOINT, {
+            fingerprint: fingerprint,
+            type: type,
+            name: truncate(details.name, MAX_NAME_LENGTH),
+            message: redacted.message,
+            stack: redacted.stack,
+            page: redacted.page,
+            breadcrumbs: redacted.breadcrumbs
+        });
+    }
+
+    function capture(type, error) {
+        const details = describeError(error);
+        if (IGNORED_SOURCES.test(details.stack)) {
+            return;
+        }
+
+        const fingerprint = getFingerprint(details);
+        if (state.fingerprints.includes(fingerprint) || state.fingerprints.length >= MAX_REPORTS_PER_SESSION) {
+            return;
+        }
+
+        state.fingerprints.push(fingerprint);
+        saveState();
+
+        // Copied now, so the trail ends at the error rather than when the report is sent
+        const breadcrumbs = state.breadcrumbs.slice();
+        whenLoaded(() => send(type, details, fingerprint, breadcrumbs));
+    }
+
+    window.addEventListener('error', function (e) {
+        // Cross-origin scripts only give "Script error." with no detail worth reporting
+        if (!e.error && !e.filename) {
+            return;
+        }
+
+        capture('error', e.error || {
+            name: 'Error',
+            message: e.message,
+            stack: `at ${e.filename}:${e.lineno}:${e.colno}`
+        });
+    });
+
+    window.addEventListener('unhandledrejection', function (e) {
+        capture('unhandledrejection', e.reason);
+    });
+
+    // Report an error the calling script has caught and dealt with
+    function report(error) {
+        capture('handled', error);
+    }
+
+    return {
+        report: report
+    };
+})();
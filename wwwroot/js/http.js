@@ -0,0 +1,263 @@
+//
+// HTTP client
+//
+// Requests from the browser to this site go through fipsHttp rather than calling fetch:
+//
+//   fipsHttp.get('/Cache/CacheStats').then((stats) => ...);
+//   fipsHttp.post('/Contact/SubmitFeedback', { feedbackFormInput: '...' });
+//
+// - Requests to this site carry the antiforgery token from the fips-antiforgery meta tag in a
+//   RequestVerificationToken header, so actions can use [ValidateAntiForgeryToken]
+// - Each attempt is aborted after 10 seconds, or options.timeout milliseconds
+// - GET and HEAD requests that fail with a network error, a timeout, 408, 429 or a 5xx status
+//   are tried twice more, after 0.5 and then 1 second
+// - JSON responses are parsed, other responses give their text and empty responses give null
+// - Failures reject with a NetworkError, TimeoutError, ResponseError or ParseError. Each has a
+//   userMessage that can be shown with fipsHttp.showErrorSummary(container, error).
+//
+// fipsHttp.beacon(url, data) is for reports that must be sent even as the page closes. It uses
+// navigator.sendBeacon where it can, which cannot add headers, so the action must not require
+// the antiforgery token. There is no response or error.
+//
+// This script is loaded in the head, after logger.js, so every later script can use it.
+//
+window.fipsHttp = (function () {
+    const ANTIFORGERY_HEADER = 'RequestVerificationToken';
+    const DEFAULT_TIMEOUT_MS = 10000;
+    const RETRY_DELAYS_MS = [500, 1000];
+    const RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+    const IDEMPOTENT_METHODS = ['GET', 'HEAD'];
+    const SERVICE_PROBLEM = 'Sorry, there is a problem with the service. Try again later.';
+
+    class HttpError extends Error {
+        constructor(message, url, userMessage) {
+            super(message);
+            this.name = 'HttpError';
+            this.url = url;
+            this.userMessage = userMessage;
+        }
+    }
+
+    class NetworkError extends HttpError {
+        constructor(url, cause) {
+            super(`Request to ${url} failed: ${cause && cause.message}`, url,
+                'Could not connect to the service. Check your internet connection and try again.');
+            this.name = 'NetworkError';
+        }
+    }
+
+    class TimeoutError extends HttpError {
+        constructor(url, timeout) {
+            super(`Request to ${url} timed out after ${timeout} ms`, url, 'The service took too long to respond. Try again.');
+            this.name = 'TimeoutError';
+        }
+    }
+
+    class ResponseError extends HttpError {
+        constructor(url, status, data) {
+            super(`Request to ${url} responded with ${status}`, url, getStatusMessage(status));
+            this.name = 'ResponseError';
+            this.status = status;
+            this.data = data;
+        }
+    }
+
+    class ParseError extends HttpError {
+        constructor(url) {
+            super(`Response from ${url} is not valid JSON`, url, SERVICE_PROBLEM);
+            this.name = 'ParseError';
+        }
+    }
+
+    function getStatusMessage(status) {
+        if (status === 400) {
+            return 'There was a problem with the request. Refresh the page and try again.';
+        }
+        if (status === 401 || status === 403) {
+            return 'You do not have permission to do this. Sign in and try again.';
+        }
+        if (status === 404) {
+            return 'The information could not be found.';
+        }
+        if (status === 429) {
+            return 'There have been too many requests. Wait a minute and try again.';
+        }
+        return SERVICE_PROBLEM;
+    }
+
+    function getAntiforgeryToken() {
+        const meta = document.querySelector('meta[name="fips-antiforgery"]');
+        return meta ? meta.content : '';
+    }
+
+    function isSameOrigin(url) {
+        try {
+            return new URL(url, window.location.href).origin === window.location.origin;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    function isRetryable(error) {
+        return error instanceof NetworkError || error instanceof TimeoutError ||
+            (error instanceof ResponseError && RETRY_STATUSES.includes(error.status));
+    }
+
+    function wait(ms) {
+        return new Promise((resolve) => setTimeout(resolve, ms));
+    }
+
+    function readResponse(url, response) {
+        return response.text().then(function (text) {
+            let data = text || null;
+            if (text && /json/i.test(response.headers.get('Content-Type') || '')) {
+                try {
+                    data = JSON.parse(text);
+                } catch (error) {
+                    if (response.ok) {
+                        throw new ParseError(url);
+                    }
+                    data = null;
+                }
+            }
+
+            if (!response.ok) {
+                throw new ResponseError(url, response.status, data);
+            }
+            return data;
+        });
+    }
+
+    function send(url, method, settings) {
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        let timedOut = false;
+        const timer = setTimeout(function () {
+            timedOut = true;
+            if (controller) {
+                controller.abort();
+            }
+        }, settings.timeout);
+
+        const headers = Object.assign({ Accept: 'application/json' }, settings.headers);
+        const token = getAntiforgeryToken();
+        if (token && isSameOrigin(url)) {
+            headers[ANTIFORGERY_HEADER] = token;
+        }
+
+        let body = settings.body;
+        if (body !== undefined && body !== null && typeof body !== 'string' && !(body instanceof FormData)) {
+            body = JSON.stringify(body);
+            headers['Content-Type'] = 'application/json';
+        }
+
+        const failed = (error) => {
+            throw error instanceof HttpError ? error : timedOut ? new TimeoutError(url, settings.timeout) : new NetworkError(url, error);
+        };
+
+        return window.fetch(url, {
+            method: method,
+            headers: headers,
+            body: body,
+            credentials: 'same-origin',
+            keepalive: Boolean(settings.keepalive),
+            signal: controller ? controller.signal : undefined
+        })
+            .then((response) => readResponse(url, response))
+            .catch(failed)
+            .finally(() => clearTimeout(timer));
+    }
+
+    // options: { method, body, headers, timeout, keepalive }. A body that is not a string or
+    // FormData is sent as JSON.
+    function request(url, options) {
+        const settings = Object.assign({ method: 'GET', timeout: DEFAULT_TIMEOUT_MS }, options);
+        const method = settings.method.toUpperCase();
+        const retryDelays = IDEMPOTENT_METHODS.includes(method) ? RETRY_DELAYS_MS : [];
+        let attempt = 0;
+
+        function run() {
+            return send(url, method, settings).catch(function (error) {
+                if (attempt < retryDelays.length && isRetryable(error)) {
+                    const delay = retryDelays[attempt++];
+                    window.fipsLog.debug('http', `${error.message}, retrying in ${delay} ms`);
+                    return wait(delay).then(run);
+                }
+
+                window.fipsLog.warn('http', error.message, error);
+                throw error;
+            });
+        }
+
+        return run();
+    }
+
+    function get(url, options) {
+        return request(url, Object.assign({}, options, { method: 'GET' }));
+    }
+
+    function post(url, body, options) {
+        return request(url, Object.assign({}, options, { method: 'POST', body: body }));
+    }
+
+    function beacon(url, data) {
+        const body = JSON.stringify(data);
+
+        if (typeof navigator.sendBeacon === 'function' && navigator.sendBeacon(url, new Blob([body], { type: 'application/json' }))) {
+            return;
+        }
+
+        // Reporting is best effort, so failures are only logged
+        post(url, body, { keepalive: true, headers: { 'Content-Type': 'application/json' } }).catch(() => {});
+    }
+
+    // Replace the contents of container with a GOV.UK error summary for error, which can be
+    // an error from this client or a message, and move focus to it
+    function showErrorSummary(container, error) {
+        const message = typeof error === 'string' ? error : (error && error.userMessage) || SERVICE_PROBLEM;
+
+        const summary = document.createElement('div');
+        summary.className = 'govuk-error-summary';
+        summary.tabIndex = -1;
+
+        const alert = document.createElement('div');
+        alert.setAttribute('role', 'alert');
+
+        const title = document.createElement('h2');
+        title.className = 'govuk-error-summary__title';
+        title.textContent = 'There is a problem';
+
+        const body = document.createElement('div');
+        body.className = 'govuk-error-summary__body';
+
+        const list = document.createElement('ul');
+        list.className = 'govuk-list govuk-error-summary__list';
+
+        const item = document.createElement('li');
+        item.textContent = message;
+
+        list.appendChild(item);
+        body.appendChild(list);
+        alert.append(title, body);
+        summary.appendChild(alert);
+        container.replaceChildren(summary);
+        summary.focus();
+    }
+
+    function clearErrorSummary(container) {
+        container.replaceChildren();
+    }
+
+    return {
+        request: request,
+        get: get,
+        post: post,
+        beacon: beacon,
+        showErrorSummary: showErrorSummary,
+        clearErrorSummary: clearErrorSummary,
+        HttpError: HttpError,
+        NetworkError: NetworkError,
+        TimeoutError: TimeoutError,
+        ResponseError: ResponseError,
+        ParseError: ParseError
+    };
+})();
@@ -0,0 +1,192 @@
+//
+// Live product filtering
+//
+// On the products listing, ticking a filter, editing the search term or following a pagination
+// or remove-filter link updates the results without reloading the page:
+//
+// - The results are fetched from /products with fragment=results, which renders only
+//   _Results.cshtml, and swapped into #products-results
+// - The address bar is updated with history.pushState, so the back and forward buttons step
+//   through earlier results and the URL can be shared or bookmarked
+// - The new result count is announced through the #products-results-status live region
+//
+// Keyword edits wait until typing pauses. Without JavaScript, or if a request fails, the filter
+// form and links load the full page as before.
+//
+// After each swap, a fips:results-updated event is dispatched on the document so scripts such
+// as search-analytics.js can read the new results. Its detail.committed is false for results
+// shown while the user is still typing in the search box, which are not yet a search.
+//
+(function () {
+    const KEYWORDS_DELAY_MS = 500;
+    const FRAGMENT_PARAMETER = 'fragment';
+    const RESULTS_PATH = '/products';
+
+    const form = document.getElementById('products-filter-form');
+    const container = document.getElementById('products-results');
+    const status = document.getElementById('products-results-status');
+    if (!form || !container || !status || typeof window.history.pushState !== 'function') {
+        return;
+    }
+
+    let keywordsTimer = null;
+    let latestRequest = 0;
+    let currentUrl = window.location.pathname + window.location.search;
+
+    // The same URL the form would submit to, without empty fields
+    function getFormUrl() {
+        const params = new URLSearchParams();
+        new FormData(form).forEach(function (value, name) {
+            if (typeof value === 'string' && value.trim() !== '') {
+                params.append(name, value);
+            }
+        });
+
+        const query = params.toString();
+        return query ? `${RESULTS_PATH}?${query}` : RESULTS_PATH;
+    }
+
+    // Tick the filters and fill in the search term to match url, after back, forward or a link
+    function updateForm(url) {
+        const params = new URL(url, window.location.href).searchParams;
+
+        form.querySelectorAll('input[type="checkbox"]').forEach(function (checkbox) {
+            checkbox.checked = params.getAll(checkbox.name).includes(checkbox.value);
+        });
+
+        // The search box can be replaced by search-suggestions.js, whose typeahead keeps its own
+        // copy of the text, so it is told about the change with an input event
+        const keywords = form.querySelector('input[name="keywords"]');
+        const term = params.get('keywords') || '';
+        if (keywords && keywords.value !== term) {
+            keywords.value = term;
+            keywords.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+    }
+
+    function announce(region) {
+        const count = region ? parseInt(region.dataset.searchResultCount, 10) || 0 : 0;
+        const message = `${count} ${count === 1 ? 'result' : 'results'} found`;
+
+        // Cleared first so that the same count is announced again after another change
+        status.textContent = '';
+        window.setTimeout(function () {
+            status.textContent = message;
+        }, 100);
+    }
+
+    function isTyping() {
+        const keywords = form.querySelector('input[name="keywords"]');
+        return Boolean(keywords) && document.activeElement === keywords;
+    }
+
+    function showResults(html, committed) {
+        const results = new DOMParser().parseFromString(html, 'text/html');
+        container.replaceChildren(...Array.from(results.body.childNodes));
+
+        const region = document.getElementById('products-search-results');
+        announce(region);
+        document.dispatchEvent(new CustomEvent('fips:results-updated', { detail: { region: region, committed: committed } }));
+        return region;
+    }
+
+    // options: { push: add a history entry, focus: move focus to the results afterwards,
+    // typing: loaded after a pause in typing, so the term may not be finished }
+    function load(url, options) {
+        const settings = Object.assign({ push: true, focus: false, typing: false }, options);
+        const fragmentUrl = new URL(url, window.location.href);
+        fragmentUrl.searchParams.set(FRAGMENT_PARAMETER, 'results');
+
+        const request = ++latestRequest;
+        container.setAttribute('aria-busy', 'true');
+
+        return window.fipsHttp.get(fragmentUrl.toString(), { headers: { Accept: 'text/html' } })
+            .then(function (html) {
+                // A later change has already been requested, so these results are out of date
+                if (request !== latestRequest) {
+                    return;
+                }
+
+                if (settings.push) {
+                    window.history.pushState({ liveFilter: true }, '', url);
+                }
+                currentUrl = url;
+
+                const region = showResults(html || '', !settings.typing || !isTyping());
+                window.fipsAnalytics.trackPageView();
+                if (settings.focus && region) {
+                    region.focus();
+                }
+            })
+            .catch(function (error) {
+                if (request !== latestRequest) {
+                    return;
+                }
+
+                window.fipsLog.warn('filter', `Could not update the results, loading ${url} instead`, error);
+                window.location.assign(url);
+            })
+            .finally(function () {
+                if (request === latestRequest) {
+                    container.removeAttribute('aria-busy');
+                }
+            });
+    }
+
+    function update(options) {
+        window.clearTimeout(keywordsTimer);
+
+        const url = getFormUrl();
+        if (url !== currentUrl) {
+            load(url, options);
+        }
+    }
+
+    form.addEventListener('change', function (e) {
+        if (e.target instanceof HTMLInputElement && e.target.type === 'checkbox') {
+            update();
+        }
+    });
+
+    form.addEventListener('input', function (e) {
+        if (e.target instanceof HTMLInputElement && e.target.name === 'keywords') {
+            window.clearTimeout(keywordsTimer);
+            keywordsTimer = window.setTimeout(() => update({ typing: true }), KEYWORDS_DELAY_MS);
+        }
+    });
+
+    // Pressing Enter or the search and Apply filters buttons updates the results straight away
+    form.addEventListener('submit', function (e) {
+        e.preventDefault();
+        update();
+    });
+
+    // Pagination, remove-filter and clear-all links in the results
+    container.addEventListener('click', function (e) {
+        const link = e.target instanceof Element ? e.target.closest('a[href]') : null;
+        if (!link || link.origin !== window.location.origin || link.pathname.toLowerCase() !== RESULTS_PATH ||
+            e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) {
+            return;
+        }
+
+        e.preventDefault();
+        const url = link.pathname + link.search;
+        updateForm(url);
+        window.clearTimeout(keywordsTimer);
+        load(url, { focus: true });
+    });
+
+    // Marks the page's own history entry, so returning to it with the back button reloads its results
+    window.history.replaceState({ liveFilter: true }, '');
+
+    window.addEventListener('popstate', function (e) {
+        const url = window.location.pathname + window.location.search;
+        if (!e.state || !e.state.liveFilter || url === currentUrl) {
+            return;
+        }
+
+        updateForm(url);
+        window.clearTimeout(keywordsTimer);
+        load(url, { push: false });
+    });
+})();
@@ -0,0 +1,102 @@
+//
+// Client logger
+//
+// Scripts log through fipsLog instead of the console, naming a channel for the part of the
+// site the message is about:
+//
+//   fipsLog.info('analytics', "Sent 'product_click'", event);
+//   fipsLog.error('feedback', 'Feedback submission failed', error);
+//
+// Levels are debug, info, warn and error. The logger is silent by default. Debug mode turns on
+// console output for every level and the overlay in debug-overlay.js. Add ?fips-debug=1 to any
+// URL to turn it on for the rest of the browser session, and ?fips-debug=0 to turn it off.
+//
+// In debug mode, the last 200 entries are kept so that the overlay can list what happened
+// before it was drawn; fipsLog.subscribe(listener) is called with each entry after that.
+//
+// This script is loaded in the head, before any script that logs.
+//
+window.fipsLog = (function () {
+    const STORAGE_KEY = 'fips-debug';
+    const QUERY_PARAMETER = 'fips-debug';
+    const MAX_ENTRIES = 200;
+    const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+    const entries = [];
+    const listeners = [];
+    const enabled = readDebugSetting();
+
+    function readDebugSetting() {
+        const requested = new URLSearchParams(window.location.search).get(QUERY_PARAMETER);
+
+        try {
+            if (requested === '1') {
+                window.sessionStorage.setItem(STORAGE_KEY, '1');
+            } else if (requested === '0') {
+                window.sessionStorage.removeItem(STORAGE_KEY);
+            }
+            return window.sessionStorage.getItem(STORAGE_KEY) === '1';
+        } catch (error) {
+            // Storage can be blocked; the query string then applies to this page only
+            return requested === '1';
+        }
+    }
+
+    function log(level, channel, message, data) {
+        if (!enabled) {
+            return;
+        }
+
+        const entry = {
+            level: level,
+            channel: channel,
+            message: String(message),
+            data: data,
+            timestamp: new Date().toISOString()
+        };
+
+        entries.push(entry);
+        if (entries.length > MAX_ENTRIES) {
+            entries.shift();
+        }
+
+        const args = [`[${channel}] ${entry.message}`];
+        if (data !== undefined) {
+            args.push(data);
+        }
+        console[level].apply(console, args);
+
+        listeners.forEach(function (listener) {
+            try {
+                listener(entry);
+            } catch (error) {
+                console.error('fipsLog listener failed', error);
+            }
+        });
+    }
+
+    // Call listener(entry) for each entry logged from now on
+    function subscribe(listener) {
+        listeners.push(listener);
+    }
+
+    function getEntries() {
+        return entries.slice();
+    }
+
+    function isDebugEnabled() {
+        return enabled;
+    }
+
+    const logger = {
+        subscribe: subscribe,
+        getEntries: getEntries,
+        isDebugEnabled: isDebugEnabled
+    };
+
+    LEVELS.forEach(function (level) {
+        logger[level] = (channel, message, data) => log(level, channel, message, data);
+    });
+
+    return logger;
+})();
@@ -0,0 +1,157 @@
+//
+// Product page engagement
+//
+// On a product page (marked with data-engagement-product-id), keeps a running summary of the
+// visit and sends it as a product_engagement event when the page is hidden, whether the user
+// leaves it or switches to another tab. Coming back to the page starts a new summary, so each
+// event covers one stretch of time on the page:
+//
+//   max_scroll_depth   furthest milestone scrolled to: 0, 25, 50, 75 or 100 (%)
+//   visible_time_ms    time the page was on screen, using the Page Visibility API
+//   total_time_ms      time since the page was shown
+//   sections_viewed    data-engagement-section elements that were on screen, e.g. description
+//   outbound_clicks    clicks on links to other sites, with their hosts in outbound_hosts
+//   download_clicks    clicks on links to files such as PDFs and spreadsheets
+//   contact_clicks     clicks on email and phone links; addresses are never recorded
+//
+// The event goes through fipsAnalytics, so it is only sent with analytics consent. It is sent on
+// visibilitychange rather than when the page unloads, which is the last point at which analytics
+// requests reliably complete, and the providers are flushed so it does not wait in their queues.
+//
+(function () {
+    const SCROLL_MILESTONES = [25, 50, 75, 100];
+    const DOWNLOAD_EXTENSIONS = /\.(pdf|docx?|xlsx?|pptx?|csv|odt|ods|odp|txt|zip)$/i;
+
+    const page = document.querySelector('[data-engagement-product-id]');
+    if (!page) {
+        return;
+    }
+
+    let summary;
+    let visibleSince;
+    let sent;
+
+    function start() {
+        summary = {
+            startedAt: Date.now(),
+            visibleTime: 0,
+            maxScrollDepth: 0,
+            sectionsViewed: [],
+            outboundClicks: 0,
+            outboundHosts: [],
+            downloadClicks: 0,
+            contactClicks: 0
+        };
+        visibleSince = document.visibilityState === 'visible' ? Date.now() : null;
+        sent = false;
+        updateScrollDepth();
+    }
+
+    function updateScrollDepth() {
+        const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+        const depth = scrollable <= 0 ? 100 : Math.min(100, (window.scrollY / scrollable) * 100);
+        const milestone = SCROLL_MILESTONES.filter((value) => depth >= value).pop() || 0;
+        summary.maxScrollDepth = Math.max(summary.maxScrollDepth, milestone);
+    }
+
+    function pauseVisibleTime() {
+        if (visibleSince !== null) {
+            summary.visibleTime += Date.now() - visibleSince;
+            visibleSince = null;
+        }
+    }
+
+    function addUnique(list, value) {
+        if (!list.includes(value)) {
+            list.push(value);
+        }
+    }
+
+    function trackLink(link) {
+        const protocol = link.protocol.toLowerCase();
+
+        if (protocol === 'mailto:' || protocol === 'tel:') {
+            summary.contactClicks++;
+        } else if (link.hasAttribute('download') || DOWNLOAD_EXTENSIONS.test(link.pathname)) {
+            summary.downloadClicks++;
+        } else if ((protocol === 'http:' || protocol === 'https:') && link.host !== window.location.host) {
+            summary.outboundClicks++;
+            addUnique(summary.outboundHosts, link.hostname);
+        }
+    }
+
+    function send() {
+        if (sent) {
+            return;
+        }
+
+        sent = true;
+        pauseVisibleTime();
+
+        window.fipsAnalytics.track('product_engagement', {
+            category: 'Product Interaction',
+            label: page.dataset.engagementProductName || '',
+            product_id: page.dataset.engagementProductId,
+            max_scroll_depth: summary.maxScrollDepth,
+            visible_time_ms: summary.visibleTime,
+            total_time_ms: Date.now() - summary.startedAt,
+            sections_viewed: summary.sectionsViewed.join(', '),
+            outbound_clicks: summary.outboundClicks,
+            outbound_hosts: summary.outboundHosts.join(', '),
+            download_clicks: summary.downloadClicks,
+            contact_clicks: summary.contactClicks
+        });
+        window.fipsAnalytics.flush();
+    }
+
+    start();
+
+    let scrollPending = false;
+    window.addEventListener('scroll', function () {
+        if (!scrollPending) {
+            scrollPending = true;
+            window.requestAnimationFrame(function () {
+                scrollPending = false;
+                updateScrollDepth();
+            });
+        }
+    }, { passive: true });
+
+    document.addEventListener('visibilitychange', function () {
+        if (document.visibilityState === 'visible') {
+            start();
+        } else {
+            send();
+        }
+    });
+
+    // A section counts as viewed once half of it, or enough of it to fill half the screen, is in view
+    if (typeof window.IntersectionObserver === 'function') {
+        const observer = new IntersectionObserver(function (entries) {
+            entries.forEach(function (entry) {
+                if (entry.intersectionRatio >= 0.5 || entry.intersectionRect.height >= window.innerHeight / 2) {
+                    addUnique(summary.sectionsViewed, entry.target.dataset.engagementSection);
+                }
+            });
+        }, { threshold: [0, 0.25, 0.5] });
+
+        page.querySelectorAll('[data-engagement-section]').forEach((section) => observer.observe(section));
+    }
+
+    document.addEventListener('click', function (e) {
+        const link = e.target instanceof Element ? e.target.closest('a[href]') : null;
+        if (link) {
+            trackLink(link);
+        }
+    });
+
+    // For browsers that unload the page without making it hidden first
+    window.addEventListener('pagehide', send);
+
+    // Coming back through the back/forward cache is a new visit to the product
+    window.addEventListener('pageshow', function (e) {
+        if (e.persisted) {
+            start();
+        }
+    });
+})();
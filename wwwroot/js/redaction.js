@@ -0,0 +1,109 @@
+//
+// Personal data redaction
+//
+// Anything sent to analytics or telemetry passes through fipsRedaction.redact() first. People
+// paste all sorts into search boxes, so text is masked for emails, National Insurance numbers,
+// postcodes and UK phone numbers, and URLs lose the query parameters listed below.
+//
+window.fipsRedaction = (function () {
+    // Query parameters removed from any URL before it is sent
+    const REDACTED_QUERY_PARAMETERS = ['email', 'name', 'phone', 'postcode', 'token', 'code', 'returnUrl'];
+
+    // Ordered so that the more specific patterns are replaced before the looser phone number one
+    const PATTERNS = [
+        { type: 'email', pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi },
+        { type: 'ni-number', pattern: /\b[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z]\s?\d{2}\s?\d{2}\s?\d{2}\s?[A-D]\b/gi },
+        { type: 'postcode', pattern: /\b[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}\b/gi },
+        { type: 'phone', pattern: /(?:\+44\s?\(?0?\)?\s?|\b0)\d(?:[\s-]?\d){8,9}\b/g }
+    ];
+
+    const counts = {};
+
+    function count(type) {
+        counts[type] = (counts[type] || 0) + 1;
+    }
+
+    function redactText(text) {
+        let redactions = 0;
+        let result = text;
+
+        PATTERNS.forEach(function (rule) {
+            result = result.replace(rule.pattern, function () {
+                count(rule.type);
+                redactions++;
+                return `[${rule.type}]`;
+            });
+        });
+
+        return { value: result, redactions: redactions };
+    }
+
+    // Strips configured parameters from absolute or root-relative URLs; other text is left alone
+    function redactUrl(text) {
+        if (!/^(https?:\/\/|\/)[^\s]*\?/i.test(text)) {
+            return { value: text, redactions: 0 };
+        }
+
+        let url;
+        try {
+            url = new URL(text, window.location.origin);
+        } catch (error) {
+            return { value: text, redactions: 0 };
+        }
+
+        let redactions = 0;
+        Array.from(url.searchParams.keys()).forEach(function (key) {
+            if (REDACTED_QUERY_PARAMETERS.some((name) => name.toLowerCase() === key.toLowerCase()) && url.searchParams.has(key)) {
+                url.searchParams.delete(key);
+                count('query-parameter');
+                redactions++;
+            }
+        });
+
+        const value = text.startsWith('/') ? url.pathname + url.search + url.hash : url.href;
+        return { value: value, redactions: redactions };
+    }
+
+    function redactString(text) {
+        const fromUrl = redactUrl(text);
+        const fromText = redactText(fromUrl.value);
+        return { value: fromText.value, redactions: fromUrl.redactions + fromText.redactions };
+    }
+
+    // Returns a redacted copy of a string, array or plain object, with the number of values masked
+    function redact(value) {
+        if (typeof value === 'string') {
+            return redactString(value);
+        }
+
+        if (Array.isArray(value)) {
+            return value.reduce(function (result, item) {
+                const redacted = redact(item);
+                result.value.push(redacted.value);
+                result.redactions += redacted.redactions;
+                return result;
+            }, { value: [], redactions: 0 });
+        }
+
+        if (value && typeof value === 'object') {
+            return Object.keys(value).reduce(function (result, key) {
+                const redacted = redact(value[key]);
+                result.value[key] = redacted.value;
+                result.redactions += redacted.redactions;
+                return result;
+            }, { value: {}, redactions: 0 });
+        }
+
+        return { value: value, redactions: 0 };
+    }
+
+    // Running totals by type for this page, e.g. { email: 2, postcode: 1 }
+    function getCounts() {
+        return Object.assign({}, counts);
+    }
+
+    return {
+        redact: redact,
+        getCounts: getCounts
+    };
+})();
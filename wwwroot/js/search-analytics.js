@@ -0,0 +1,285 @@
+//
+// Search journey tracking
+//
+// Follows a search on the products listing from its results being shown to what happened next:
+//
+//   search_results       a new search was shown, with its result count (zero_results when empty)
+//   search_refined       the term was edited or filters were added or removed
+//   search_result_click  a product was chosen, with its position and the time taken to click
+//   search_abandoned     the user left the results without choosing a product
+//
+// The results region carries the current search in data-search-term, data-search-filters and
+// data-search-result-count. The search is kept in sessionStorage so that reloads, pagination and
+// coming back from a product page are not counted as new searches. When live-filter.js swaps in
+// new results, it dispatches fips:results-updated and the new region is read in the same way.
+// Results it shows while the user is still typing only count once the search is committed: the
+// form is submitted, the search box loses focus or one of the results is chosen.
+//
+// Events go to fipsAnalytics, which waits for analytics consent. Refinements, clicks and
+// abandonments are also sent to the server with navigator.sendBeacon and logged through
+// SearchTermLoggingService, which needs no consent as nothing is shared with third parties.
+//
+(function () {
+    const STORAGE_KEY = 'fips-search-session';
+    const ENDPOINT = '/Products/SearchEvent';
+    const SERVER_EVENTS = ['search_refined', 'search_result_click', 'search_abandoned'];
+    // As SearchJourneyEventModel allows
+    const MAX_TERM_LENGTH = 200;
+
+    if (!document.querySelector('[data-search-result-count]')) {
+        return;
+    }
+
+    let region = null;
+    let session = null;
+
+    function readSession() {
+        try {
+            return JSON.parse(window.sessionStorage.getItem(STORAGE_KEY));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function saveSession(session) {
+        try {
+            window.sessionStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+        } catch (error) {
+            // Storage can be full or blocked; the journey is then tracked for this page only
+        }
+    }
+
+    function clearSession() {
+        try {
+            window.sessionStorage.removeItem(STORAGE_KEY);
+        } catch (error) {
+            // Nothing to clear
+        }
+    }
+
+    function createId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return Date.now().toString(36) + Math.random().toString(36).slice(2);
+    }
+
+    function readFilters() {
+        try {
+            const filters = JSON.parse(region.dataset.searchFilters || '[]');
+            return Array.isArray(filters) ? filters.map(String).sort() : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    function truncate(term) {
+        return typeof term === 'string' && term.length > MAX_TERM_LENGTH ? term.slice(0, MAX_TERM_LENGTH) : term;
+    }
+
+    function sendToServer(name, session, details) {
+        // Truncated after redacting, which can make a term longer
+        const redacted = window.fipsRedaction.redact({
+            searchTerm: session.term,
+            previousSearchTerm: details.previousTerm || null
+        }).value;
+
+        window.fipsHttp.beacon(ENDPOINT, {
+            sessionId: session.id,
+            eventType: name,
+            searchTerm: truncate(redacted.searchTerm),
+            previousSearchTerm: truncate(redacted.previousSearchTerm),
+            resultCount: session.resultCount,
+            filtersAdded: details.filtersAdded || [],
+            filtersRemoved: details.filtersRemoved || [],
+            position: details.position || null,
+            elapsedMs: details.elapsedMs === undefined ? null : details.elapsedMs
+        });
+    }
+
+    function record(name, session, properties, details) {
+        window.fipsAnalytics.track(name, {
+            category: 'Search',
+            label: session.term,
+            search_id: session.id,
+            search_term: session.term,
+            result_count: session.resultCount,
+            filter_count: session.filters.length,
+            ...properties
+        });
+
+        if (SERVER_EVENTS.includes(name)) {
+            sendToServer(name, session, details || {});
+        }
+    }
+
+    function describeRefinement(previous, current) {
+        const filtersAdded = current.filters.filter((filter) => !previous.filters.includes(filter));
+        const filtersRemoved = previous.filters.filter((filter) => !current.filters.includes(filter));
+        const termChanged = previous.term.toLowerCase() !== current.term.toLowerCase();
+        const filtersChanged = filtersAdded.length > 0 || filtersRemoved.length > 0;
+
+        return {
+            type: termChanged && filtersChanged ? 'term_and_filters_changed' : termChanged ? 'term_changed' : 'filters_changed',
+            previousTerm: termChanged ? previous.term : null,
+            filtersAdded: filtersAdded,
+            filtersRemoved: filtersRemoved
+        };
+    }
+
+    // Start or continue the search journey for the results shown in the region
+    function showResults() {
+        region = document.querySelector('[data-search-result-count]');
+        session = null;
+        if (!region) {
+            return;
+        }
+
+        const term = (region.dataset.searchTerm || '').trim();
+        const filters = readFilters();
+        const resultCount = parseInt(region.dataset.searchResultCount, 10) || 0;
+
+        // The unfiltered listing is browsing, not searching
+        if (!term && filters.length === 0) {
+            clearSession();
+            return;
+        }
+
+        const signature = JSON.stringify([term.toLowerCase(), filters]);
+        const stored = readSession();
+        // A search that was left without a click is over; whatever the user searches next starts afresh
+        const previous = stored && !stored.abandoned ? stored : null;
+        session = stored;
+
+        if (!stored || stored.signature !== signature) {
+            session = {
+                id: previous ? previous.id : createId(),
+                signature: signature,
+                term: term,
+                filters: filters,
+                resultCount: resultCount,
+                shownAt: Date.now(),
+                clicked: false,
+                abandoned: false
+            };
+
+            if (previous) {
+                const refinement = describeRefinement(previous, session);
+                record('search_refined', session, {
+                    refinement_type: refinement.type,
+                    previous_search_term: refinement.previousTerm || '',
+                    filters_added: refinement.filtersAdded.join(', '),
+                    filters_removed: refinement.filtersRemoved.join(', ')
+                }, refinement);
+            }
+
+            record('search_results', session, { zero_results: resultCount === 0 });
+            saveSession(session);
+        }
+    }
+
+    // Set when the user moves on within the search (pagination, filters, a new term), so leaving
+    // the page is not counted as abandoning it
+    let continuing = false;
+
+    // Set while the results shown are for a term the user is still typing
+    let uncommitted = false;
+
+    // Count the results shown as a search, if they are for the term now in the search box
+    function commit() {
+        const keywords = document.querySelector('#products-filter-form input[name="keywords"]');
+        if (!uncommitted || !region || (keywords && keywords.value.trim() !== (region.dataset.searchTerm || '').trim())) {
+            return;
+        }
+
+        uncommitted = false;
+        showResults();
+    }
+
+    showResults();
+
+    // The results were swapped in place, so the user has stayed with the search
+    document.addEventListener('fips:results-updated', function (e) {
+        continuing = false;
+        uncommitted = Boolean(e.detail && e.detail.committed === false);
+        if (uncommitted) {
+            region = document.querySelector('[data-search-result-count]');
+            return;
+        }
+        showResults();
+    });
+
+    // Leaving the search box after typing
+    document.addEventListener('change', function (e) {
+        if (e.target instanceof HTMLInputElement && e.target.name === 'keywords' && e.target.closest('#products-filter-form')) {
+            commit();
+        }
+    });
+
+    document.addEventListener('click', function (e) {
+        if (!(e.target instanceof Element)) {
+            return;
+        }
+
+        const productLink = e.target.closest('a[data-track-product-position]');
+        if (productLink && region && region.contains(productLink)) {
+            commit();
+            if (!session) {
+                return;
+            }
+
+            const elapsedMs = Math.max(0, Date.now() - session.shownAt);
+            const position = parseInt(productLink.dataset.trackProductPosition, 10) || null;
+
+            record('search_result_click', session, {
+                position: position,
+                product_id: productLink.dataset.trackProductId || '',
+                time_to_click_ms: elapsedMs
+            }, { position: position, elapsedMs: elapsedMs });
+
+            session.clicked = true;
+            saveSession(session);
+            return;
+        }
+
+        // Links that live-filter.js handles stay on this page
+        const link = e.target.closest('a[href]');
+        if (link && !e.defaultPrevented && link.origin === window.location.origin && link.pathname.toLowerCase() === '/products') {
+            continuing = true;
+        }
+    });
+
+    document.addEventListener('submit', function (e) {
+        if (!(e.target instanceof HTMLFormElement) || e.target.id !== 'products-filter-form') {
+            return;
+        }
+
+        commit();
+        if (!e.defaultPrevented) {
+            continuing = true;
+        }
+    });
+
+    // Restored from the back/forward cache, so whatever the user did before leaving no longer applies
+    window.addEventListener('pageshow', function (e) {
+        if (e.persisted) {
+            continuing = false;
+        }
+    });
+
+    // The session is kept after an abandonment, so reloading the page is not a new search and
+    // each search is reported as abandoned at most once
+    window.addEventListener('pagehide', function () {
+        if (!session || session.clicked || session.abandoned || continuing) {
+            return;
+        }
+
+        const elapsedMs = Math.max(0, Date.now() - session.shownAt);
+        record('search_abandoned', session, { time_on_results_ms: elapsedMs }, { elapsedMs: elapsedMs });
+        session.abandoned = true;
+        saveSession(session);
+
+        // The page is going, so the event cannot wait in the providers' queues
+        window.fipsAnalytics.flush();
+    });
+})();
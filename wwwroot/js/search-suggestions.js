@@ -0,0 +1,198 @@
+//
+// Search suggestions
+//
+// Adds typeahead to product search boxes marked with data-search-suggestions, which is the search
+// on the products listing. Suggestions come from /Products/Suggestions and are grouped as
+// products, categories and user groups, with the typed text highlighted:
+//
+// - Choosing a product opens its page
+// - Choosing a category ticks it in the listing's filters, or opens the listing filtered by it
+// - Choosing a user group searches for products for that group
+//
+// Typing a term and pressing Enter searches as before. The typeahead is the GOV.UK
+// accessible-autocomplete component, which replaces the original input with its own; without
+// JavaScript the box is a plain search field.
+//
+(function () {
+    const ENDPOINT = '/Products/Suggestions';
+    const MIN_LENGTH = 2;
+    const DELAY_MS = 200;
+    const TIMEOUT_MS = 5000;
+    const GROUP_NAMES = { product: 'Products', category: 'Categories', userGroup: 'User groups' };
+
+    const inputs = document.querySelectorAll('input[data-search-suggestions]');
+    if (inputs.length === 0 || typeof window.accessibleAutocomplete !== 'function') {
+        return;
+    }
+
+    // Suggestions by lowercased query, shared by all the search boxes on the page
+    const cache = new Map();
+
+    function escapeHtml(text) {
+        const element = document.createElement('span');
+        element.textContent = text;
+        return element.innerHTML;
+    }
+
+    // Escape text and mark where it contains query, as HighlightSearchMatches does for results
+    function highlight(text, query) {
+        const escapedQuery = query.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        if (!escapedQuery) {
+            return escapeHtml(text);
+        }
+
+        return text.split(new RegExp(`(${escapedQuery})`, 'gi'))
+            .map((part, index) => index % 2 === 1 ? `<span class="search-match">${escapeHtml(part)}</span>` : escapeHtml(part))
+            .join('');
+    }
+
+    // The endpoint returns each type together, so a group starts wherever the type changes
+    function toOptions(suggestions, query) {
+        return suggestions.map((suggestion, index) => Object.assign({}, suggestion, {
+            query: query,
+            startsGroup: index === 0 || suggestions[index - 1].type !== suggestion.type
+        }));
+    }
+
+    function renderSuggestion(option) {
+        if (!option || typeof option !== 'object') {
+            return '';
+        }
+
+        const group = option.startsGroup
+            ? `<span class="autocomplete-suggestion__group" aria-hidden="true">${escapeHtml(GROUP_NAMES[option.type] || '')}</span>`
+            : '';
+        const type = option.type === 'product' ? '<span class="govuk-visually-hidden">Product, </span>' : '';
+        const hint = option.hint
+            ? `<span class="autocomplete-suggestion__meta">${type}${highlight(option.hint, option.query)}</span>`
+            : '';
+
+        return `${group}<span class="autocomplete-suggestion__label">${highlight(option.label, option.query)}</span>${hint}`;
+    }
+
+    // Choosing a category replaces the typed text, which was only there to find the category
+    function getInputValue(option) {
+        if (!option || typeof option !== 'object') {
+            return '';
+        }
+        return option.type === 'category' ? '' : option.label;
+    }
+
+    function createSource(getInput) {
+        let timer = null;
+        let latestRequest = 0;
+
+        return function (query, populateResults) {
+            const request = ++latestRequest;
+            const term = query.trim();
+            const key = term.toLowerCase();
+            window.clearTimeout(timer);
+
+            // Only offer suggestions while the user is typing, not when the text is set by a script
+            if (document.activeElement !== getInput()) {
+                populateResults([]);
+                return;
+            }
+
+            if (cache.has(key)) {
+                populateResults(toOptions(cache.get(key), term));
+                return;
+            }
+
+            timer = window.setTimeout(function () {
+                window.fipsHttp.get(`${ENDPOINT}?q=${encodeURIComponent(term)}`, { timeout: TIMEOUT_MS })
+                    .then(function (suggestions) {
+                        const results = Array.isArray(suggestions) ? suggestions : [];
+                        cache.set(key, results);
+                        if (request === latestRequest) {
+                            populateResults(toOptions(results, term));
+                        }
+                    })
+                    .catch(function (error) {
+                        window.fipsLog.warn('search', 'Could not load search suggestions', error);
+                        if (request === latestRequest) {
+                            populateResults([]);
+                        }
+                    });
+            }, DELAY_MS);
+        };
+    }
+
+    function findFilterCheckbox(form, option) {
+        if (!form || !option.filter || !option.value) {
+            return null;
+        }
+        return form.querySelector(`input[type="checkbox"][name="${CSS.escape(option.filter)}"][value="${CSS.escape(option.value)}"]`);
+    }
+
+    function choose(form, option) {
+        if (!option || typeof option !== 'object') {
+            return;
+        }
+
+        window.fipsAnalytics.track('search_suggestion_selected', {
+            category: 'Search',
+            label: option.label,
+            suggestion_type: option.type,
+            search_term: option.query
+        });
+
+        const checkbox = option.type === 'category' ? findFilterCheckbox(form, option) : null;
+        if (checkbox) {
+            // After the typeahead has cleared the typed text, so the search is for the filter alone
+            window.setTimeout(function () {
+                checkbox.checked = true;
+                form.requestSubmit();
+            }, 0);
+            return;
+        }
+
+        window.location.assign(option.url);
+    }
+
+    function enhance(input) {
+        const form = input.form;
+        const id = input.id;
+        const describedBy = input.getAttribute('aria-describedby');
+
+        const container = document.createElement('div');
+        container.className = 'app-search-suggestions';
+        input.replaceWith(container);
+
+        window.accessibleAutocomplete({
+            element: container,
+            id: id,
+            name: input.name,
+            defaultValue: input.value,
+            inputClasses: input.className,
+            minLength: MIN_LENGTH,
+            displayMenu: 'overlay',
+            confirmOnBlur: false,
+            showNoOptionsFound: false,
+            source: createSource(() => document.getElementById(id)),
+            templates: {
+                inputValue: getInputValue,
+                suggestion: renderSuggestion
+            },
+            onConfirm: (option) => choose(form, option)
+        });
+
+        const enhanced = document.getElementById(id);
+        enhanced.type = 'search';
+        if (describedBy) {
+            // The component only describes the input with its own usage hint, so add back the
+            // field's hint. It is read out when the box is first focused.
+            enhanced.setAttribute('aria-describedby', `${describedBy} ${enhanced.getAttribute('aria-describedby') || ''}`.trim());
+        }
+
+        // The component ignores Enter while its menu is open and nothing is highlighted, which
+        // would stop the search from being run, so the form is submitted here instead
+        container.addEventListener('keydown', function (e) {
+            if (e.key === 'Enter' && e.target === enhanced && form && container.querySelector('.autocomplete__menu--visible')) {
+                form.requestSubmit();
+            }
+        }, true);
+    }
+
+    inputs.forEach(enhance);
+})();
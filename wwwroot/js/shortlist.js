@@ -0,0 +1,173 @@
+//
+// Product shortlist
+//
+// Lets users collect products to compare side by side:
+//
+// - Add to shortlist buttons (.app-shortlist-toggle, with data-shortlist-id and
+//   data-shortlist-title) on each products listing result and on product pages add or remove
+//   the product. They are hidden until this script shows them.
+// - The Shortlist link in the header (#shortlist-nav) shows how many products are shortlisted
+//   and opens /Products/Compare with their IDs
+// - On the comparison page, Remove from comparison links (data-shortlist-remove) also take the
+//   product off the shortlist. Opening the page without IDs loads the shortlist's products.
+//
+// The shortlist is kept in localStorage, so it lasts between visits and is shared by open tabs.
+// It holds up to 6 products, as many as the comparison page shows. Changes are announced to
+// screen readers through a status region added by this script.
+//
+(function () {
+    const STORAGE_KEY = 'fips-shortlist';
+    const MAX_PRODUCTS = 6;
+    const COMPARE_PATH = '/Products/Compare';
+
+    let storage = null;
+    try {
+        storage = window.localStorage;
+        storage.getItem(STORAGE_KEY);
+    } catch (error) {
+        // Storage is blocked, so the shortlist controls stay hidden
+        return;
+    }
+
+    const nav = document.getElementById('shortlist-nav');
+    const status = document.createElement('div');
+    status.className = 'govuk-visually-hidden';
+    status.setAttribute('role', 'status');
+    status.setAttribute('aria-live', 'polite');
+    document.body.appendChild(status);
+
+    // Product IDs, oldest first
+    function read() {
+        try {
+            const items = JSON.parse(storage.getItem(STORAGE_KEY));
+            return Array.isArray(items) ? items.filter((id) => typeof id === 'string' && id) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    function write(items) {
+        try {
+            if (items.length) {
+                storage.setItem(STORAGE_KEY, JSON.stringify(items));
+            } else {
+                storage.removeItem(STORAGE_KEY);
+            }
+        } catch (error) {
+            window.fipsLog.warn('shortlist', 'Could not save the shortlist', error);
+        }
+    }
+
+    function getCompareUrl(items) {
+        const params = new URLSearchParams();
+        items.forEach((id) => params.append('id', id));
+
+        const query = params.toString();
+        return query ? `${COMPARE_PATH}?${query}` : COMPARE_PATH;
+    }
+
+    function describeCount(count) {
+        return `${count} ${count === 1 ? 'product' : 'products'} on your shortlist`;
+    }
+
+    function announce(message) {
+        // Cleared first so that the same message is announced again
+        status.textContent = '';
+        window.setTimeout(function () {
+            status.textContent = message;
+        }, 100);
+    }
+
+    // Match the header link and every button on the page to the stored shortlist
+    function refresh() {
+        const items = read();
+        const full = items.length >= MAX_PRODUCTS;
+
+        if (nav) {
+            nav.querySelector('[data-shortlist-count]').textContent = items.length;
+            nav.querySelector('a').href = getCompareUrl(items);
+            nav.hidden = false;
+        }
+
+        document.querySelectorAll('.app-shortlist-toggle').forEach(function (button) {
+            const added = items.includes(button.dataset.shortlistId);
+            button.querySelector('.app-shortlist-toggle__text').textContent = added ? 'Remove from shortlist' : 'Add to shortlist';
+            button.classList.toggle('app-shortlist-toggle--added', added);
+
+            // Left focusable while the shortlist is full, so that pressing it can explain why
+            // nothing was added
+            const unavailable = full && !added;
+            button.classList.toggle('govuk-button--disabled', unavailable);
+            if (unavailable) {
+                button.setAttribute('aria-disabled', 'true');
+            } else {
+                button.removeAttribute('aria-disabled');
+            }
+
+            button.hidden = !button.dataset.shortlistId;
+        });
+    }
+
+    function toggle(button) {
+        const id = button.dataset.shortlistId;
+        const title = button.dataset.shortlistTitle || id;
+        const items = read();
+
+        if (items.includes(id)) {
+            const remaining = items.filter((item) => item !== id);
+            write(remaining);
+            announce(`Removed ${title} from your shortlist. ${describeCount(remaining.length)}.`);
+            window.fipsAnalytics.track('shortlist_remove', { category: 'Shortlist', label: title, product_id: id });
+        } else if (items.length >= MAX_PRODUCTS) {
+            announce(`Your shortlist is full. Remove a product before adding ${title}, as up to ${MAX_PRODUCTS} products can be compared.`);
+            return;
+        } else {
+            items.push(id);
+            write(items);
+            announce(`Added ${title} to your shortlist. ${describeCount(items.length)}.`);
+            window.fipsAnalytics.track('shortlist_add', { category: 'Shortlist', label: title, product_id: id });
+        }
+
+        refresh();
+    }
+
+    document.addEventListener('click', function (e) {
+        if (!(e.target instanceof Element)) {
+            return;
+        }
+
+        const button = e.target.closest('.app-shortlist-toggle');
+        if (button) {
+            toggle(button);
+            return;
+        }
+
+        // The link still loads the comparison without the product
+        const remove = e.target.closest('a[data-shortlist-remove]');
+        if (remove) {
+            write(read().filter((id) => id !== remove.dataset.shortlistRemove));
+        }
+    });
+
+    // Another tab changed the shortlist
+    window.addEventListener('storage', function (e) {
+        if (e.key === STORAGE_KEY || e.key === null) {
+            refresh();
+        }
+    });
+
+    // Results swapped in by live-filter.js have their own buttons
+    document.addEventListener('fips:results-updated', refresh);
+
+    // /Products/Compare without IDs, as linked before this script has run, shows the shortlist
+    const compare = document.querySelector('[data-shortlist-compare]');
+    if (compare && !new URLSearchParams(window.location.search).has('id')) {
+        const items = read();
+        if (items.length) {
+            window.location.replace(getCompareUrl(items));
+            return;
+        }
+    }
+
+    refresh();
+})();
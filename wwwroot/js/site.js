@@ -3,31 +3,12 @@
 // https://prototype-kit.service.gov.uk/docs/adding-css-javascript-and-images
 //
 
-// Application Insights helper functions
-function trackEvent(eventName, properties) {
-    if (window.appInsights) {
-        window.appInsights.trackEvent(eventName, properties);
-    }
-}
-
-function trackPageView(pageName, url) {
-    if (window.appInsights) {
-        window.appInsights.trackPageView(pageName, url);
-    }
-}
+// Events are sent through fipsAnalytics (analytics.js), which adds the page and timestamp
+// and passes them on to each analytics provider
 
-// Track page load
+// Track page view
 document.addEventListener('DOMContentLoaded', function() {
-    // Track page view
-    trackPageView(document.title, window.location.href);
-    
-    // Track user interactions
-    trackEvent('PageLoaded', {
-        page: window.location.pathname,
-        referrer: document.referrer,
-        userAgent: navigator.userAgent,
-        timestamp: new Date().toISOString()
-    });
+    window.fipsAnalytics.trackPageView();
 });
 
 // Feedback form functionality
@@ -45,6 +26,186 @@ function hideElement(element) {
     }
 }
 
+// Feedback drafts and retry queue
+//
+// What the user types in the feedback panel is saved in sessionStorage for each page, so it is
+// still there when the panel is reopened, even after leaving the page. Feedback that could not
+// be sent because of the connection or a server error is queued in localStorage and sent again
+// when the browser comes back online or on a later page load, even after the tab was closed.
+// Each queued item is tried up to 5 times. Feedback the server refuses is not queued.
+const FEEDBACK_DRAFTS_KEY = 'fips-feedback-drafts';
+const FEEDBACK_QUEUE_KEY = 'fips-feedback-queue';
+const FEEDBACK_MAX_ATTEMPTS = 5;
+const FEEDBACK_MAX_QUEUED = 10;
+
+// Drafts last for the browser session, but the queue is kept until it has been sent
+function getFeedbackStorage(key) {
+    return key === FEEDBACK_QUEUE_KEY ? window.localStorage : window.sessionStorage;
+}
+
+function readStoredFeedback(key, fallback) {
+    try {
+        return JSON.parse(getFeedbackStorage(key).getItem(key)) || fallback;
+    } catch (error) {
+        return fallback;
+    }
+}
+
+function writeStoredFeedback(key, value) {
+    try {
+        getFeedbackStorage(key).setItem(key, JSON.stringify(value));
+    } catch (error) {
+        // Storage can be full or blocked; drafts and retries then last for this page only
+    }
+}
+
+function getFeedbackDraft(path) {
+    return readStoredFeedback(FEEDBACK_DRAFTS_KEY, {})[path] || '';
+}
+
+function saveFeedbackDraft(path, text) {
+    const drafts = readStoredFeedback(FEEDBACK_DRAFTS_KEY, {});
+    if (text.trim()) {
+        drafts[path] = text;
+    } else {
+        delete drafts[path];
+    }
+    writeStoredFeedback(FEEDBACK_DRAFTS_KEY, drafts);
+}
+
+// What the page is about: the route from the fips-route meta tag, the product's FIPS ID on
+// product pages, and the filters applied on the products listing
+function getFeedbackPageContext() {
+    const route = document.querySelector('meta[name="fips-route"]');
+    const fipsId = document.querySelector('meta[name="fips-id"]');
+    const results = document.getElementById('products-search-results');
+    let filters = [];
+
+    try {
+        filters = results ? JSON.parse(results.dataset.searchFilters || '[]') : [];
+    } catch (error) {
+        // Leave the filters out rather than lose the feedback
+    }
+
+    return {
+        route: route && /^\w+\.\w+$/.test(route.content) ? route.content : undefined,
+        fipsId: fipsId ? fipsId.content : undefined,
+        filters: filters
+    };
+}
+
+// Feedback to send: free text, a usefulness rating, reasons, or a mix
+function createFeedbackItem(fields) {
+    return Object.assign({
+        text: '',
+        reasons: [],
+        pageUrl: window.location.href,
+        path: window.location.pathname,
+        context: getFeedbackPageContext()
+    }, fields);
+}
+
+function isSameFeedback(a, b) {
+    return a.text === b.text && a.pageUrl === b.pageUrl && a.useful === b.useful && String(a.reasons) === String(b.reasons);
+}
+
+function queueFeedback(item) {
+    const queue = readStoredFeedback(FEEDBACK_QUEUE_KEY, []).filter((queued) => !isSameFeedback(queued, item));
+    queue.push(Object.assign({ attempts: 0 }, item));
+    writeStoredFeedback(FEEDBACK_QUEUE_KEY, queue.slice(-FEEDBACK_MAX_QUEUED));
+}
+
+function removeQueuedFeedback(item) {
+    writeStoredFeedback(FEEDBACK_QUEUE_KEY, readStoredFeedback(FEEDBACK_QUEUE_KEY, []).filter((queued) => !isSameFeedback(queued, item)));
+}
+
+function recordFailedFeedbackAttempt(item) {
+    const queue = readStoredFeedback(FEEDBACK_QUEUE_KEY, [])
+        .map((queued) => isSameFeedback(queued, item) ? Object.assign(queued, { attempts: queued.attempts + 1 }) : queued)
+        .filter((queued) => queued.attempts < FEEDBACK_MAX_ATTEMPTS);
+    writeStoredFeedback(FEEDBACK_QUEUE_KEY, queue);
+}
+
+// Feedback the server refused, such as feedback that is empty or too long
+class FeedbackRejectedError extends Error {
+    constructor(message) {
+        super(message || 'Feedback was not accepted');
+        this.name = 'FeedbackRejectedError';
+    }
+}
+
+// Only failures that may not happen next time are worth retrying
+function isRetryableFeedbackError(error) {
+    const http = window.fipsHttp;
+    return error instanceof http.NetworkError || error instanceof http.TimeoutError ||
+        (error instanceof http.ResponseError && error.status >= 500);
+}
+
+// The antiforgery check failed, usually because the page was left open until its token expired.
+// Those responses have no body, unlike feedback that SubmitFeedback itself refused.
+function isExpiredPageError(error) {
+    return error instanceof window.fipsHttp.ResponseError && error.status === 400 && !(error.data && error.data.success === false);
+}
+
+// Resolves when the feedback has been accepted. Rejects with a FeedbackRejectedError if the
+// server refused it, or with an error from fipsHttp if it could not be sent.
+function postFeedback(item) {
+    const url = '/Contact/SubmitFeedback';
+    if (navigator.onLine === false) {
+        return Promise.reject(new window.fipsHttp.NetworkError(url, new Error('The browser is offline')));
+    }
+
+    const context = item.context || {};
+    return window.fipsHttp.post(url, {
+        feedbackFormInput: item.text,
+        useful: item.useful,
+        reasons: item.reasons,
+        pageUrl: item.pageUrl,
+        route: context.route,
+        fipsId: context.fipsId,
+        filters: context.filters
+    })
+        .then(data => {
+            if (!data || !data.success) {
+                throw new FeedbackRejectedError(data && data.message);
+            }
+        });
+}
+
+let retryingFeedback = false;
+
+// Send queued feedback one item at a time, oldest first
+function retryQueuedFeedback() {
+    const queue = readStoredFeedback(FEEDBACK_QUEUE_KEY, []);
+    if (retryingFeedback || !queue.length || navigator.onLine === false) {
+        return Promise.resolve();
+    }
+
+    retryingFeedback = true;
+    return queue.reduce(function (previous, item) {
+        return previous.then(() => postFeedback(item).then(function () {
+            removeQueuedFeedback(item);
+            if (getFeedbackDraft(item.path) === item.text) {
+                saveFeedbackDraft(item.path, '');
+            }
+            window.fipsLog.info('feedback', 'Queued feedback submitted', { page: item.path });
+        }, function (error) {
+            if (isRetryableFeedbackError(error)) {
+                recordFailedFeedbackAttempt(item);
+                window.fipsLog.warn('feedback', 'Queued feedback submission failed', error);
+            } else {
+                removeQueuedFeedback(item);
+                window.fipsLog.warn('feedback', 'Queued feedback was refused and has been dropped', error);
+            }
+        }));
+    }, Promise.resolve()).finally(() => {
+        retryingFeedback = false;
+    });
+}
+
+window.addEventListener('online', retryQueuedFeedback);
+document.addEventListener('DOMContentLoaded', retryQueuedFeedback);
+
 document.addEventListener('DOMContentLoaded', function() {
   const feedbackLink = document.getElementById('feedback-link');
   const feedbackPanel = document.getElementById('feedback-panel');
@@ -53,9 +214,8 @@ document.addEventListener('DOMContentLoaded', function() {
   const cancelButton = document.getElementById('cancelButton');
 
   if (feedbackLink && feedbackPanel && thanksMessage && feedbackForm && cancelButton) {
-    // Show feedback panel when link is clicked
-    feedbackLink.addEventListener('click', function(e) {
-      e.preventDefault();
+    // Show the feedback panel, then move focus to the given field
+    function openFeedbackPanel(trigger, focusTarget) {
       feedbackPanel.classList.add('show');
       feedbackPanel.setAttribute('aria-hidden', 'false');
       thanksMessage.classList.remove('show');
@@ -76,18 +236,65 @@ document.addEventListener('DOMContentLoaded', function() {
         textarea.setAttribute('aria-describedby', 'feedback_form_input-info');
       }
       
+      // Bring back anything typed on this page before
+      if (textarea && !textarea.value) {
+        textarea.value = getFeedbackDraft(window.location.pathname);
+        textarea.dispatchEvent(new Event('input'));
+      }
+
       // Track feedback panel opened
-      trackEvent('FeedbackPanelOpened', {
-        page: window.location.pathname,
-        timestamp: new Date().toISOString()
+      window.fipsAnalytics.track('FeedbackPanelOpened', {
+        trigger: trigger
       });
       
-      // Focus on the textarea
-      if (textarea) {
-        textarea.focus();
+      if (focusTarget) {
+        focusTarget.focus();
       }
+    }
+
+    // Show feedback panel when link is clicked
+    feedbackLink.addEventListener('click', function(e) {
+      e.preventDefault();
+      openFeedbackPanel('link', document.getElementById('feedback_form_input'));
     });
 
+    // "Is this page useful?" is sent as soon as it is answered. A "No" opens the panel to ask
+    // what is wrong, which is sent separately so that each answer is only counted once.
+    const usefulPrompt = document.getElementById('useful-prompt');
+    if (usefulPrompt) {
+      showElement(usefulPrompt);
+
+      usefulPrompt.addEventListener('click', function(e) {
+        const button = e.target instanceof Element ? e.target.closest('button[data-useful]') : null;
+        if (!button) {
+          return;
+        }
+
+        const useful = button.dataset.useful === 'yes';
+        const item = createFeedbackItem({ useful: useful });
+
+        window.fipsAnalytics.track('PageUsefulnessRated', {
+          useful: useful
+        });
+
+        postFeedback(item).catch(error => {
+          if (isRetryableFeedbackError(error)) {
+            queueFeedback(item);
+            window.fipsLog.warn('feedback', 'Page rating failed, queued for retry', error);
+          } else {
+            window.fipsLog.error('feedback', 'Page rating was refused', error);
+          }
+        });
+
+        hideElement(usefulPrompt);
+        if (useful) {
+          thanksMessage.classList.add('show');
+        } else {
+          openFeedbackPanel('not_useful', document.getElementById('feedback_reasons'));
+        }
+      });
+    }
+
     // Hide feedback panel when cancel button is clicked
     cancelButton.addEventListener('click', function(e) {
       e.preventDefault();
@@ -111,12 +318,27 @@ document.addEventListener('DOMContentLoaded', function() {
       }
       
       // Track feedback panel cancelled
-      trackEvent('FeedbackPanelCancelled', {
-        page: window.location.pathname,
-        timestamp: new Date().toISOString()
-      });
+      window.fipsAnalytics.track('FeedbackPanelCancelled');
     });
 
+    // Show the error summary with one of its submission messages, by id
+    function showSubmissionError(messageId) {
+      const errorSummary = document.getElementById('feedback-error-summary');
+
+      if (errorSummary) {
+        ['feedback-error-length', 'feedback-error-submit', 'feedback-error-rejected', 'feedback-error-expired'].forEach((id) => {
+          const message = document.getElementById(id);
+          if (id === messageId) {
+            showElement(message);
+          } else {
+            hideElement(message);
+          }
+        });
+        showElement(errorSummary);
+        errorSummary.focus();
+      }
+    }
+
     // Function to show validation errors
     function showFeedbackError() {
       const formGroup = document.getElementById('feedback_form_group');
@@ -125,6 +347,10 @@ document.addEventListener('DOMContentLoaded', function() {
       const textarea = document.getElementById('feedback_form_input');
       
       if (formGroup && errorSummary && errorMessage && textarea) {
+        showElement(document.getElementById('feedback-error-length'));
+        hideElement(document.getElementById('feedback-error-submit'));
+        hideElement(document.getElementById('feedback-error-rejected'));
+        hideElement(document.getElementById('feedback-error-expired'));
         formGroup.classList.add('govuk-form-group--error');
         textarea.classList.add('govuk-textarea--error');
         showElement(errorSummary);
@@ -167,6 +393,7 @@ document.addEventListener('DOMContentLoaded', function() {
         if (this.value.length <= 1000) {
           hideFeedbackError();
         }
+        saveFeedbackDraft(window.location.pathname, this.value);
       });
     }
     
@@ -176,16 +403,16 @@ document.addEventListener('DOMContentLoaded', function() {
       
       const textarea = feedbackForm.querySelector('textarea');
       const feedbackText = textarea.value.trim();
+      const reasonInputs = Array.from(feedbackForm.querySelectorAll('input[name="feedback_reasons"]'));
+      const reasons = reasonInputs.filter((input) => input.checked).map((input) => input.value);
       
       // Validate character count
       if (feedbackText.length > 1000) {
         showFeedbackError();
         
         // Track validation error
-        trackEvent('FeedbackValidationError', {
-          page: window.location.pathname,
-          characterCount: feedbackText.length,
-          timestamp: new Date().toISOString()
+        window.fipsAnalytics.track('FeedbackValidationError', {
+          characterCount: feedbackText.length
         });
         
         return;
@@ -194,12 +421,11 @@ document.addEventListener('DOMContentLoaded', function() {
       // Clear any existing errors
       hideFeedbackError();
       
-      if (feedbackText) {
+      if (feedbackText || reasons.length) {
         // Track feedback submission
-        trackEvent('FeedbackSubmitted', {
-          page: window.location.pathname,
+        window.fipsAnalytics.track('FeedbackSubmitted', {
           feedbackLength: feedbackText.length,
-          timestamp: new Date().toISOString()
+          reasons: reasons.join(', ')
         });
         
         // Send feedback to the server
@@ -208,41 +434,49 @@ document.addEventListener('DOMContentLoaded', function() {
         submitButton.textContent = 'Submitting...';
         submitButton.disabled = true;
         
-        fetch('/Contact/SubmitFeedback', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            feedbackFormInput: feedbackText
-          })
-        })
-        .then(response => response.json())
-        .then(data => {
-          if (data.success) {
-            // Show success message
-            feedbackPanel.classList.remove('show');
-            feedbackPanel.setAttribute('aria-hidden', 'true');
-            thanksMessage.classList.add('show');
-            
-            // Clear the form and errors
-            textarea.value = '';
-            hideFeedbackError();
-            
-            // Focus on the thank you message for screen readers
-            thanksMessage.focus();
-            
-            console.log('Feedback submitted successfully');
-          } else {
-            // Show error message
-            alert('Sorry, there was an error submitting your feedback. Please try again.');
-            console.error('Feedback submission failed:', data.message);
-          }
+        const item = createFeedbackItem({
+          text: feedbackText,
+          reasons: reasons
+        });
+
+        postFeedback(item)
+        .then(() => {
+          // Show success message
+          feedbackPanel.classList.remove('show');
+          feedbackPanel.setAttribute('aria-hidden', 'true');
+          thanksMessage.classList.add('show');
+
+          // Clear the form, errors, draft and any earlier failed attempt
+          textarea.value = '';
+          reasonInputs.forEach((input) => { input.checked = false; });
+          hideFeedbackError();
+          saveFeedbackDraft(item.path, '');
+          removeQueuedFeedback(item);
+
+          // Focus on the thank you message for screen readers
+          thanksMessage.focus();
+
+          window.fipsLog.info('feedback', 'Feedback submitted');
         })
         .catch(error => {
-          // Show error message
-          alert('Sorry, there was an error submitting your feedback. Please try again.');
-          console.error('Feedback submission error:', error);
+          if (isExpiredPageError(error)) {
+            // Reloading the page gets a new token, and the draft is kept
+            showSubmissionError('feedback-error-expired');
+            window.fipsLog.error('feedback', 'Feedback submission failed the antiforgery check', error);
+            return;
+          }
+
+          if (!isRetryableFeedbackError(error)) {
+            // Sending it again would be refused too, so the user is asked to change it
+            showSubmissionError('feedback-error-rejected');
+            window.fipsLog.error('feedback', 'Feedback submission was refused', error);
+            return;
+          }
+
+          // Keep the feedback to send later, and say so in the error summary
+          queueFeedback(item);
+          showSubmissionError('feedback-error-submit');
+          window.fipsLog.error('feedback', 'Feedback submission failed, queued for retry', error);
         })
         .finally(() => {
           // Reset button state
@@ -253,72 +487,3 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   }
 });
-
-// Track search interactions
-document.addEventListener('DOMContentLoaded', function() {
-    const searchForms = document.querySelectorAll('form[action*="search"], form[action*="Search"]');
-    searchForms.forEach(function(form) {
-        form.addEventListener('submit', function(e) {
-            const searchInput = form.querySelector('input[type="search"], input[name*="search"], input[name*="Search"]');
-            if (searchInput && searchInput.value.trim()) {
-                trackEvent('SearchPerformed', {
-                    searchTerm: searchInput.value.trim(),
-                    page: window.location.pathname,
-                    timestamp: new Date().toISOString()
-                });
-            }
-        });
-    });
-});
-
-// Track product clicks
-document.addEventListener('DOMContentLoaded', function() {
-    const productLinks = document.querySelectorAll('a[href*="/products/"], a[href*="/product/"]');
-    productLinks.forEach(function(link) {
-        link.addEventListener('click', function(e) {
-            trackEvent('ProductClicked', {
-                productUrl: link.href,
-                productText: link.textContent.trim(),
-                page: window.location.pathname,
-                timestamp: new Date().toISOString()
-            });
-        });
-    });
-});
-
-// Track category clicks
-document.addEventListener('DOMContentLoaded', function() {
-    const categoryLinks = document.querySelectorAll('a[href*="/categories/"], a[href*="/category/"]');
-    categoryLinks.forEach(function(link) {
-        link.addEventListener('click', function(e) {
-            trackEvent('CategoryClicked', {
-                categoryUrl: link.href,
-                categoryText: link.textContent.trim(),
-                page: window.location.pathname,
-                timestamp: new Date().toISOString()
-            });
-        });
-    });
-});
-
-// Track errors
-window.addEventListener('error', function(e) {
-    trackEvent('JavaScriptError', {
-        errorMessage: e.message,
-        errorSource: e.filename,
-        errorLine: e.lineno,
-        errorColumn: e.colno,
-        page: window.location.pathname,
-        timestamp: new Date().toISOString()
-    });
-});
-
-// Track unhandled promise rejections
-window.addEventListener('unhandledrejection', function(e) {
-    trackEvent('UnhandledPromiseRejection', {
-        errorMessage: e.reason ? e.reason.toString() : 'Unknown error',
-        page: window.location.pathname,
-        timestamp: new Date().toISOString()
-    });
-});
-
@@ -0,0 +1,159 @@
+//
+// Core Web Vitals
+//
+// Measures what users experience as each page loads and responds, with PerformanceObserver:
+//
+//   LCP        largest contentful paint, in milliseconds
+//   CLS        cumulative layout shift, from the worst burst of shifts
+//   INP        interaction to next paint, the slowest interaction ignoring one in every fifty
+//   TTFB       time to first byte of the page, in milliseconds
+//   LongTasks  total time spent in tasks over 50 ms, with how many there were
+//
+// Values are reported once, when the page is first hidden, tagged with the route (from the
+// fips-route meta tag) and a device class. Each goes to App Insights as a metric through
+// fipsAnalytics, which waits for analytics consent. The same report is sent with
+// navigator.sendBeacon to /Performance/WebVitals for the Slow Pages dashboard; it holds only
+// the route, device class and timings.
+//
+(function () {
+    const ENDPOINT = '/Performance/WebVitals';
+    const METRIC_NAMES = { LCP: 'web_vitals_lcp', CLS: 'web_vitals_cls', INP: 'web_vitals_inp', TTFB: 'web_vitals_ttfb', LongTasks: 'web_vitals_long_tasks' };
+
+    // GOV.UK Frontend breakpoints
+    const TABLET_MIN_WIDTH = 641;
+    const DESKTOP_MIN_WIDTH = 769;
+
+    // Layout shifts less than a second apart, within five seconds, count as one burst
+    const CLS_SESSION_GAP_MS = 1000;
+    const CLS_SESSION_MAX_MS = 5000;
+
+    if (typeof window.PerformanceObserver !== 'function') {
+        return;
+    }
+
+    const supportedEntryTypes = PerformanceObserver.supportedEntryTypes || [];
+    const navigation = performance.getEntriesByType('navigation')[0];
+    const activationStart = (navigation && navigation.activationStart) || 0;
+
+    const interactions = {};
+    let lcp;
+    let cls;
+    let clsSession = null;
+    const longTasks = { count: 0, duration: 0 };
+    let reported = false;
+
+    function observe(type, callback, options) {
+        if (!supportedEntryTypes.includes(type)) {
+            return;
+        }
+
+        try {
+            new PerformanceObserver((list) => list.getEntries().forEach(callback))
+                .observe(Object.assign({ type: type, buffered: true }, options));
+        } catch (error) {
+            // Entry type listed but not observable in this browser
+        }
+    }
+
+    function recordInteraction(entry) {
+        if (entry.interactionId) {
+            interactions[entry.interactionId] = Math.max(interactions[entry.interactionId] || 0, entry.duration);
+        }
+    }
+
+    observe('largest-contentful-paint', function (entry) {
+        lcp = Math.max(0, entry.startTime - activationStart);
+    });
+
+    observe('layout-shift', function (entry) {
+        if (entry.hadRecentInput) {
+            return;
+        }
+
+        if (clsSession && entry.startTime - clsSession.last < CLS_SESSION_GAP_MS && entry.startTime - clsSession.first < CLS_SESSION_MAX_MS) {
+            clsSession.value += entry.value;
+            clsSession.last = entry.startTime;
+        } else {
+            clsSession = { value: entry.value, first: entry.startTime, last: entry.startTime };
+        }
+
+        cls = Math.max(cls || 0, clsSession.value);
+    });
+
+    observe('event', recordInteraction, { durationThreshold: 40 });
+    observe('first-input', recordInteraction);
+
+    observe('longtask', function (entry) {
+        longTasks.count++;
+        longTasks.duration += entry.duration;
+    });
+
+    function getInp() {
+        const durations = Object.values(interactions).sort((a, b) => b - a);
+        return durations.length ? durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))] : undefined;
+    }
+
+    function getDeviceClass() {
+        const width = window.innerWidth || document.documentElement.clientWidth;
+        return width >= DESKTOP_MIN_WIDTH ? 'desktop' : width >= TABLET_MIN_WIDTH ? 'tablet' : 'mobile';
+    }
+
+    function getRoute() {
+        const meta = document.querySelector('meta[name="fips-route"]');
+        const route = meta ? meta.content : '';
+        return /^\w+\.\w+$/.test(route) ? route : null;
+    }
+
+    function collectMetrics() {
+        const metrics = [];
+        const add = (name, value, count) => {
+            if (typeof value === 'number' && isFinite(value)) {
+                metrics.push({ name: name, value: name === 'CLS' ? Math.round(value * 10000) / 10000 : Math.round(value), count: count });
+            }
+        };
+
+        add('LCP', lcp, 1);
+        add('CLS', cls, 1);
+        add('INP', getInp(), Object.keys(interactions).length);
+        add('TTFB', navigation ? Math.max(0, navigation.responseStart - activationStart) : undefined, 1);
+        if (supportedEntryTypes.includes('longtask')) {
+            add('LongTasks', longTasks.duration, longTasks.count);
+        }
+
+        return metrics;
+    }
+
+    function report() {
+        if (reported) {
+            return;
+        }
+        reported = true;
+
+        const metrics = collectMetrics();
+        const route = getRoute();
+        const deviceClass = getDeviceClass();
+        if (!metrics.length) {
+            return;
+        }
+
+        metrics.forEach(function (metric) {
+            window.fipsAnalytics.trackMetric(METRIC_NAMES[metric.name], metric.value, {
+                category: 'Performance',
+                route: route || '',
+                device_class: deviceClass,
+                sample_count: metric.count
+            });
+        });
+
+        if (route) {
+            window.fipsHttp.beacon(ENDPOINT, { route: route, deviceClass: deviceClass, metrics: metrics });
+        }
+    }
+
+    document.addEventListener('visibilitychange', function () {
+        if (document.visibilityState === 'hidden') {
+            report();
+        }
+    });
+    window.addEventListener('pagehide', report);
+})();